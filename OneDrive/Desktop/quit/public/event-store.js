@@ -0,0 +1,186 @@
+// IndexedDB event store for time-series data (water entries, archived quit attempts) and
+// the notification state the page shares with the service worker.
+// A classic script so the page and the service worker can share it: the page loads it
+// with a <script> tag and sw.js with importScripts(). It exposes self.QuitEventStore.
+(function (scope) {
+  const DB_NAME = 'quit-now-events';
+  const DB_VERSION = 2;
+
+  // Object stores, their key and the timestamp fields they are indexed by. Records store
+  // dates as milliseconds so index ranges compare numerically. Stores without a keyPath
+  // get generated ids.
+  const STORES = {
+    waterEntries: { indexes: ['timestamp'] },
+    attempts: { indexes: ['startDate', 'endDate'] },
+    // Notifications shown (or scheduled) by the page or the service worker, by tag
+    notifications: { keyPath: 'tag', indexes: ['notifiedAt'] },
+    // Small named records shared with the service worker (e.g. the notification schedule)
+    workerState: { keyPath: 'key', indexes: [] }
+  };
+
+  let dbPromise = null;
+
+  // Wrap an IDBRequest in a promise
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Open (and create or upgrade) the database once per context
+  function open() {
+    if (!('indexedDB' in scope)) {
+      return Promise.reject(new Error('IndexedDB is not supported'));
+    }
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+            if (db.objectStoreNames.contains(name)) return;
+            const store = db.createObjectStore(name, keyPath ? { keyPath } : { keyPath: 'id', autoIncrement: true });
+            indexes.forEach((index) => store.createIndex(index, index));
+          });
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version of the app upgrade the database from another tab
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run fn against an object store inside a transaction and wait for it to complete
+  async function withStore(storeName, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      let result;
+      Promise.resolve(fn(transaction.objectStore(storeName)))
+        .then((value) => {
+          result = value;
+        })
+        .catch(reject);
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  // Add a record; resolves to its generated id
+  function add(storeName, record) {
+    return withStore(storeName, 'readwrite', (store) => promisify(store.add(record)));
+  }
+
+  // Add a record unless one with the same key exists; resolves to whether it was added.
+  // The page and the service worker use this to agree on who shows a notification.
+  function claim(storeName, record) {
+    return withStore(storeName, 'readwrite', (store) => new Promise((resolve, reject) => {
+      const request = store.add(record);
+      request.onsuccess = () => resolve(true);
+      request.onerror = (event) => {
+        if (request.error && request.error.name === 'ConstraintError') {
+          // The record is already there: keep the transaction alive and don't let the
+          // error bubble up to it
+          event.preventDefault();
+          event.stopPropagation();
+          resolve(false);
+        } else {
+          reject(request.error);
+        }
+      };
+    }));
+  }
+
+  // Add several records in one transaction
+  function addAll(storeName, records) {
+    return withStore(storeName, 'readwrite', (store) => {
+      records.forEach((record) => store.add(record));
+    });
+  }
+
+  // Update (or insert) a record with an id
+  function put(storeName, record) {
+    return withStore(storeName, 'readwrite', (store) => promisify(store.put(record)));
+  }
+
+  // Delete a record by id
+  function remove(storeName, id) {
+    return withStore(storeName, 'readwrite', (store) => promisify(store.delete(id)));
+  }
+
+  // Get a record by key (undefined if missing)
+  function get(storeName, key) {
+    return withStore(storeName, 'readonly', (store) => promisify(store.get(key)));
+  }
+
+  // Get every record in a store, ordered by key
+  function getAll(storeName) {
+    return withStore(storeName, 'readonly', (store) => promisify(store.getAll()));
+  }
+
+  // Build a key range for timestamps within [from, to]; either bound may be null
+  function toRange(from, to) {
+    const toTime = (value) => (value instanceof Date ? value.getTime() : value);
+    if (from !== null && to !== null) {
+      return IDBKeyRange.bound(toTime(from), toTime(to));
+    }
+    if (from !== null) {
+      return IDBKeyRange.lowerBound(toTime(from));
+    }
+    if (to !== null) {
+      return IDBKeyRange.upperBound(toTime(to));
+    }
+    return null;
+  }
+
+  // Get records whose indexed timestamp is within [from, to]; either bound may be null
+  function getRange(storeName, indexName, from = null, to = null) {
+    return withStore(storeName, 'readonly', (store) => promisify(store.index(indexName).getAll(toRange(from, to))));
+  }
+
+  // Delete records whose indexed timestamp is within [from, to]
+  function removeRange(storeName, indexName, from = null, to = null) {
+    return withStore(storeName, 'readwrite', (store) => {
+      const request = store.index(indexName).openCursor(toRange(from, to));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+
+  // Count the records in a store
+  function count(storeName) {
+    return withStore(storeName, 'readonly', (store) => promisify(store.count()));
+  }
+
+  // Replace every record in a store (used when restoring a backup)
+  function replaceAll(storeName, records) {
+    return withStore(storeName, 'readwrite', (store) => {
+      store.clear();
+      records.forEach((record) => {
+        // Restored records get fresh ids
+        const { id, ...rest } = record;
+        store.add(rest);
+      });
+    });
+  }
+
+  scope.QuitEventStore = { open, add, claim, addAll, put, remove, get, getAll, getRange, removeRange, count, replaceAll };
+})(self);
@@ -1,38 +1,57 @@
 // Service Worker for Quit Now PWA
-// Version number - auto-incremented using build timestamp
-const SW_VERSION = Date.now().toString();
+
+// Files to precache and their version. `vite build` fills in the manifest below with every
+// file it outputs and a hash of their contents (scripts/precache-manifest.js); an unbuilt
+// worker falls back to the app shell.
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || {
+  version: 'dev',
+  files: [
+    '/index.html',
+    '/android-launchericon-192-192.png',
+    '/android-launchericon-512-512.png',
+    '/manifest.json',
+    '/event-store.js'
+  ]
+};
+
+// Same build, same version: caches are only replaced when a built file changes
+const SW_VERSION = PRECACHE_MANIFEST.version;
 const CACHE_NAME = `quit-now-v${SW_VERSION}`;
 const STATIC_CACHE_NAME = `quit-now-static-v${SW_VERSION}`;
 const DYNAMIC_CACHE_NAME = `quit-now-dynamic-v${SW_VERSION}`;
 
+// Service workers are classic scripts, so there is no import.meta here; log on localhost
+const DEBUG = self.location.hostname === 'localhost';
+
+// IndexedDB event store shared with the page (water entries, quit attempts)
+importScripts('/event-store.js');
+
 // Files to cache immediately
-const STATIC_ASSETS = [
-  '/',
-  '/index.html',
-  '/android-launchericon-192-192.png',
-  '/android-launchericon-512-512.png',
-  '/manifest.json'
-];
-
-// Install event - cache static assets
+const STATIC_ASSETS = PRECACHE_MANIFEST.files;
+const PRECACHED_PATHS = new Set(STATIC_ASSETS);
+
+// Install event - precache the build. If any file fails to download, installing fails and
+// the current worker stays in charge, so an installed worker always works offline. A new
+// version then waits until the page asks it to take over (SKIP_WAITING) or every tab of
+// the app is closed.
 self.addEventListener('install', (event) => {
-  // Force activation immediately
-  self.skipWaiting();
-  
   event.waitUntil(
     caches.open(STATIC_CACHE_NAME)
       .then((cache) => {
         return cache.addAll(STATIC_ASSETS.map(url => new Request(url, { cache: 'no-cache' })));
       })
       .catch((error) => {
-        // Silently fail in production
+        if (DEBUG) {
+          console.error('[Service Worker] Precaching failed:', error);
+        }
+        throw error;
       })
   );
 });
 
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-  if (import.meta.env.DEV) {
+  if (DEBUG) {
     console.log('[Service Worker] Activating version', SW_VERSION);
   }
   event.waitUntil(
@@ -44,7 +63,7 @@ self.addEventListener('activate', (event) => {
             if (cacheName !== STATIC_CACHE_NAME && 
                 cacheName !== DYNAMIC_CACHE_NAME &&
                 cacheName !== CACHE_NAME) {
-              if (import.meta.env.DEV) {
+              if (DEBUG) {
                 console.log('[Service Worker] Deleting old cache:', cacheName);
               }
               return caches.delete(cacheName);
@@ -90,7 +109,17 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Cache First strategy for assets (CSS, JS, images)
+  // Precached files belong to this worker's version and don't change, so the cache is enough
+  if (PRECACHED_PATHS.has(url.pathname)) {
+    event.respondWith(
+      caches.open(STATIC_CACHE_NAME)
+        .then((cache) => cache.match(url.pathname))
+        .then((cachedResponse) => cachedResponse || fetch(request))
+    );
+    return;
+  }
+
+  // Cache First strategy for other assets (CSS, JS, images)
   event.respondWith(
     caches.match(request)
       .then((cachedResponse) => {
@@ -131,46 +160,266 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+// Background notifications. The page keeps a schedule (milestone times and notification
+// preferences) in the event store. Where Notification Triggers are supported, the worker
+// schedules notifications ahead of time; otherwise periodic background sync shows the
+// ones that are due. Every notification is claimed in the event store before it is
+// shown, so the page and the worker never both show it.
+const NOTIFICATION_SCHEDULE_KEY = 'notificationSchedule';
+const NOTIFICATION_SYNC_TAG = 'quit-now-notifications';
+const DAILY_SUMMARY_DAYS_AHEAD = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function supportsNotificationTriggers() {
+  return 'showTrigger' in Notification.prototype && typeof TimestampTrigger === 'function';
+}
+
+// Convert an "HH:MM" time of day to minutes after midnight
+function timeToMinutes(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Move a time out of quiet hours (to when they end); quiet hours may span midnight
+function afterQuietHours(time, prefs) {
+  const { enabled, start, end } = prefs.quietHours;
+  if (!enabled) return time;
+  
+  const date = new Date(time);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const startMinutes = timeToMinutes(start);
+  const endMinutes = timeToMinutes(end);
+  const isQuiet = startMinutes < endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+  if (!isQuiet) return time;
+  
+  const quietEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(endMinutes / 60), endMinutes % 60);
+  if (quietEnd <= date) {
+    quietEnd.setDate(quietEnd.getDate() + 1);
+  }
+  return quietEnd.getTime();
+}
+
+// List the notifications a schedule asks for (milestones and upcoming daily summaries).
+// `key` is what gets claimed; `at` is already moved out of quiet hours.
+function getScheduledNotifications(schedule, now) {
+  const { prefs, quitDate } = schedule;
+  const notified = new Set(schedule.notified || []);
+  const items = [];
+  
+  if (prefs.milestones) {
+    schedule.milestones
+      .filter((milestone) => !notified.has(milestone.tag))
+      .forEach((milestone) => items.push({ ...milestone, key: milestone.tag }));
+  }
+  
+  if (prefs.dailySummary) {
+    const summaryMinutes = timeToMinutes(prefs.dailySummaryTime);
+    const today = new Date(now);
+    for (let offset = 0; offset < DAILY_SUMMARY_DAYS_AHEAD; offset++) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+      const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(summaryMinutes / 60), summaryMinutes % 60).getTime();
+      const days = Math.floor((at - quitDate) / DAY_MS);
+      // The page words the first day in hours, so it keeps that one
+      if (days < 1) continue;
+      items.push({
+        key: `daily-${day.toDateString()}`,
+        tag: 'daily-progress',
+        at,
+        title: 'Daily Progress Update',
+        body: `You've been smoke-free for ${days} day${days !== 1 ? 's' : ''}! Open Quit Now to see what you've saved. Keep going!`
+      });
+    }
+  }
+  
+  return items.map((item) => ({ ...item, at: afterQuietHours(item.at, prefs) }));
+}
+
+// Show a scheduled notification, now or (with a trigger) at its time
+function showScheduledNotification(item, showTrigger = null) {
+  return self.registration.showNotification(item.title, {
+    body: item.body,
+    icon: '/android-launchericon-192-192.png',
+    badge: '/android-launchericon-48-48.png',
+    vibrate: [300, 200, 300],
+    tag: item.tag,
+    data: { url: item.url || '/' },
+    ...(showTrigger ? { showTrigger } : {})
+  });
+}
+
+// Show everything that is due and not yet claimed by the page or an earlier run
+async function showDueNotifications(schedule) {
+  const now = Date.now();
+  if (afterQuietHours(now, schedule.prefs) !== now) return;
+  
+  for (const item of getScheduledNotifications(schedule, now)) {
+    if (item.at > now) continue;
+    if (await QuitEventStore.claim('notifications', { tag: item.key, notifiedAt: now })) {
+      await showScheduledNotification(item);
+    }
+  }
+}
+
+// Rebuild the Notification Triggers for upcoming notifications. Pending triggers and their
+// claims are dropped first, so a changed quit date or preference takes effect.
+async function scheduleNotificationTriggers(schedule) {
+  const now = Date.now();
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending
+    .filter((notification) => notification.showTrigger && notification.showTrigger.timestamp > now)
+    .forEach((notification) => notification.close());
+  await QuitEventStore.removeRange('notifications', 'notifiedAt', now + 1);
+  
+  if (!schedule) return;
+  for (const item of getScheduledNotifications(schedule, now)) {
+    if (item.at <= now) continue;
+    // Claimed for the time it will show, so the page skips it then
+    if (await QuitEventStore.claim('notifications', { tag: item.key, notifiedAt: item.at })) {
+      await showScheduledNotification(item, new TimestampTrigger(item.at));
+    }
+  }
+}
+
+// Show the days smoke-free on the app icon (Badging API), like the page does while open
+async function updateAppBadge(schedule) {
+  if (!('setAppBadge' in self.navigator)) return;
+  const days = schedule ? Math.floor((Date.now() - schedule.quitDate) / DAY_MS) : 0;
+  if (days > 0) {
+    await self.navigator.setAppBadge(days);
+  } else {
+    await self.navigator.clearAppBadge();
+  }
+}
+
+// Bring background notifications and the app badge up to date with the schedule the page
+// saved
+async function updateBackgroundNotifications() {
+  if (!self.QuitEventStore) return;
+  
+  const stored = await QuitEventStore.get('workerState', NOTIFICATION_SCHEDULE_KEY);
+  const schedule = stored && stored.quitDate ? stored : null;
+  await updateAppBadge(schedule);
+  if (Notification.permission !== 'granted') return;
+  
+  if (schedule) {
+    await showDueNotifications(schedule);
+  }
+  if (supportsNotificationTriggers()) {
+    await scheduleNotificationTriggers(schedule);
+  }
+}
+
+function handleNotificationUpdate(event) {
+  event.waitUntil(
+    updateBackgroundNotifications().catch((error) => {
+      if (DEBUG) {
+        console.error('[Service Worker] Error updating notifications:', error);
+      }
+    })
+  );
+}
+
+// The page posts SCHEDULE_NOTIFICATIONS whenever the quit date or notification preferences
+// change, and SKIP_WAITING when the user accepts an update
+self.addEventListener('message', (event) => {
+  if (!event.data) return;
+  if (event.data.type === 'SCHEDULE_NOTIFICATIONS') {
+    handleNotificationUpdate(event);
+  } else if (event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Fallback for browsers without Notification Triggers
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === NOTIFICATION_SYNC_TAG) {
+    handleNotificationUpdate(event);
+  }
+});
+
 // Handle background sync (if needed in future)
 self.addEventListener('sync', (event) => {
   // Background sync handler
 });
 
-// Handle push notifications (if needed in future)
-self.addEventListener('push', (event) => {
-  const options = {
-    body: event.data ? event.data.text() : 'You have a new update!',
+// Read a push payload sent by scripts/push-sender.js ({title, body, tag, url}); plain
+// text payloads become the body of a generic notification
+function readPushPayload(data) {
+  const fallback = { title: 'Quit Now', body: 'You have a new update!', tag: 'quit-now-notification', url: '/' };
+  if (!data) return fallback;
+  try {
+    const payload = data.json();
+    if (payload && typeof payload === 'object' && typeof payload.title === 'string' && typeof payload.body === 'string') {
+      return {
+        title: payload.title,
+        body: payload.body,
+        tag: typeof payload.tag === 'string' && payload.tag ? payload.tag : fallback.tag,
+        url: typeof payload.url === 'string' && payload.url ? payload.url : fallback.url
+      };
+    }
+  } catch (error) {
+    // Not JSON; show it as text
+  }
+  const text = data.text();
+  return text ? { ...fallback, body: text } : fallback;
+}
+
+// Show a push notification. Its tag is claimed so the page and the schedule don't show the
+// same milestone again, and a notification already showing with that tag is replaced.
+async function showPushNotification(payload) {
+  if (self.QuitEventStore) {
+    try {
+      await QuitEventStore.claim('notifications', { tag: payload.tag, notifiedAt: Date.now() });
+    } catch (error) {
+      if (DEBUG) {
+        console.error('[Service Worker] Error claiming push notification:', error);
+      }
+    }
+  }
+  return self.registration.showNotification(payload.title, {
+    body: payload.body,
     icon: '/android-launchericon-192-192.png',
     badge: '/android-launchericon-48-48.png',
     vibrate: [200, 100, 200],
-    tag: 'quit-now-notification',
-    requireInteraction: false
-  };
+    tag: payload.tag,
+    requireInteraction: false,
+    data: { url: payload.url }
+  });
+}
 
-  event.waitUntil(
-    self.registration.showNotification('Quit Now', options)
-  );
+// Handle push notifications
+self.addEventListener('push', (event) => {
+  event.waitUntil(showPushNotification(readPushPayload(event.data)));
 });
 
-// Handle notification clicks
+// Handle notification clicks: open the notification's link (data.url) in an open window
+// of the app if there is one, otherwise in a new window
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
   
+  const data = event.notification.data || {};
+  let targetUrl = new URL(data.url || '/', self.location.origin);
+  // Only follow links into the app
+  if (targetUrl.origin !== self.location.origin) {
+    targetUrl = new URL('/', self.location.origin);
+  }
+  
   event.waitUntil(
     clients.matchAll({
       type: 'window',
       includeUncontrolled: true
     }).then((clientList) => {
-      // Check if there's already a window/tab open with the target URL
-      for (let i = 0; i < clientList.length; i++) {
-        const client = clientList[i];
-        if (client.url === '/' && 'focus' in client) {
-          return client.focus();
-        }
+      const appClients = clientList.filter((client) => new URL(client.url).origin === self.location.origin && 'focus' in client);
+      const client = appClients.find((c) => c.focused || c.visibilityState === 'visible') || appClients[0];
+      if (client) {
+        // The page shows the target itself, so its state is kept
+        client.postMessage({ type: 'OPEN_NOTIFICATION_TARGET', url: targetUrl.href });
+        return client.focus();
       }
-      // If no window is open, open a new one
       if (clients.openWindow) {
-        return clients.openWindow('/');
+        return clients.openWindow(targetUrl.href);
       }
     })
   );
@@ -0,0 +1,60 @@
+// Vite plugin that gives the service worker its precache manifest. After `vite build`
+// writes the bundle, it lists every output file (hashed assets and copied public files)
+// and replaces `self.__PRECACHE_MANIFEST` in the built sw.js with those files and a
+// version hashed from their contents. The version only changes when a file does, so the
+// worker (and its caches) update exactly when the app changes.
+import crypto from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const SERVICE_WORKER_FILE = 'sw.js';
+const PLACEHOLDER = 'self.__PRECACHE_MANIFEST';
+// Length of the hex content hash used as the version
+const VERSION_LENGTH = 12;
+
+// List the files under a directory as paths relative to it (with / separators)
+async function listFiles(dir, prefix = '') {
+  const entries = await readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = await Promise.all(entries.map((entry) => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(dir, relative) : [relative];
+  }));
+  return files.flat();
+}
+
+// Build the manifest for a build directory: URLs to precache and a version
+export async function buildPrecacheManifest(outDir) {
+  const files = (await listFiles(outDir))
+    .filter((file) => file !== SERVICE_WORKER_FILE && !file.endsWith('.map'))
+    .sort();
+
+  const versionHash = crypto.createHash('sha256');
+  for (const file of files) {
+    const contentHash = crypto.createHash('sha256').update(await readFile(path.join(outDir, file))).digest('hex');
+    versionHash.update(`${file}\0${contentHash}\n`);
+  }
+
+  return {
+    version: versionHash.digest('hex').slice(0, VERSION_LENGTH),
+    files: files.map((file) => `/${file}`)
+  };
+}
+
+export default function precacheManifest() {
+  return {
+    name: 'quit-now-precache-manifest',
+    apply: 'build',
+    async writeBundle(options) {
+      const outDir = options.dir;
+      const workerPath = path.join(outDir, SERVICE_WORKER_FILE);
+      const worker = await readFile(workerPath, 'utf8');
+      const parts = worker.split(PLACEHOLDER);
+      if (parts.length !== 2) {
+        this.error(`${SERVICE_WORKER_FILE} must contain ${PLACEHOLDER} exactly once`);
+      }
+      const manifest = await buildPrecacheManifest(outDir);
+      await writeFile(workerPath, parts.join(JSON.stringify(manifest)));
+      this.info(`precached ${manifest.files.length} files, version ${manifest.version}`);
+    }
+  };
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// Local stand-in for a browser push service, for trying the push sender without a
+// browser. It creates a subscription (printed, or written with --out), then checks the
+// VAPID token of every push sent to it, decrypts the payload and logs it.
+//
+//   node scripts/push-mock-server.js [--port 8787] [--out subscription.json] [--count <n>]
+//
+// Pushes to unknown endpoints get 410 Gone, like an expired subscription. With --count the
+// server exits after that many accepted pushes.
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { decryptPayload, toBase64Url, verifyVapidAuthorization } from './web-push.js';
+
+const DEFAULT_PORT = 8787;
+
+// Create the subscriber's keys, as a browser does when subscribing
+function createSubscriber(origin) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const id = toBase64Url(crypto.randomBytes(12));
+  return {
+    subscription: {
+      endpoint: `${origin}/push/${id}`,
+      expirationTime: null,
+      keys: {
+        p256dh: toBase64Url(ecdh.getPublicKey()),
+        auth: toBase64Url(crypto.randomBytes(16))
+      }
+    },
+    privateKey: toBase64Url(ecdh.getPrivateKey())
+  };
+}
+
+// Read a request body into a Buffer
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      out: { type: 'string' },
+      count: { type: 'string' }
+    }
+  });
+  const port = parseInt(values.port) || DEFAULT_PORT;
+  const maxPushes = values.count ? parseInt(values.count) : Infinity;
+  const { subscription, privateKey } = createSubscriber(`http://localhost:${port}`);
+  let accepted = 0;
+
+  const server = http.createServer(async (request, response) => {
+    const reply = (status, message) => {
+      response.writeHead(status, { 'Content-Type': 'text/plain' });
+      response.end(message);
+    };
+
+    if (request.method !== 'POST') {
+      reply(405, 'Method not allowed');
+      return;
+    }
+    const endpoint = `http://localhost:${port}${request.url}`;
+    if (endpoint !== subscription.endpoint) {
+      reply(410, 'Subscription expired or unknown');
+      return;
+    }
+
+    try {
+      if (request.headers['content-encoding'] !== 'aes128gcm') {
+        throw new Error('Content-Encoding must be aes128gcm');
+      }
+      if (!request.headers.ttl) {
+        throw new Error('TTL header is required');
+      }
+      const claims = verifyVapidAuthorization(request.headers.authorization, endpoint);
+      const payload = decryptPayload(await readBody(request), { ...subscription.keys, privateKey });
+      console.log(`Push from ${claims.sub} (TTL ${request.headers.ttl}):`);
+      console.log(payload);
+      reply(201, 'Created');
+    } catch (error) {
+      console.error(`Rejected push: ${error.message}`);
+      reply(400, error.message);
+      return;
+    }
+
+    accepted++;
+    if (accepted >= maxPushes) {
+      server.close();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, 'localhost', resolve));
+  if (values.out) {
+    await writeFile(values.out, `${JSON.stringify(subscription, null, 2)}\n`);
+    console.log(`Mock push service on http://localhost:${port}, subscription written to ${values.out}`);
+  } else {
+    console.log(`Mock push service on http://localhost:${port}, subscription:`);
+    console.log(JSON.stringify(subscription));
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
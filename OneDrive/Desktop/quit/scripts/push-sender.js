@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// Self-hostable push sender. Sends milestone reminders (or any notification) to push
+// subscriptions copied from the app's settings.
+//
+//   node scripts/push-sender.js keys
+//   node scripts/push-sender.js send <subscriptions.json> --milestone <days>
+//   node scripts/push-sender.js send <subscriptions.json> --title <text> --body <text> [--tag <tag>] [--url <path>]
+//
+// The subscriptions file holds one subscription or an array of them. VAPID keys come from
+// VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT (e.g. node --env-file=.env ...).
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { findMilestone, getMilestonePayload, HEALTH_MILESTONES } from '../src/milestones.js';
+import { generateVapidKeys, sendNotification } from './web-push.js';
+
+const USAGE = `Usage:
+  push-sender.js keys
+  push-sender.js send <subscriptions.json> --milestone <days>
+  push-sender.js send <subscriptions.json> --title <text> --body <text> [--tag <tag>] [--url <path>]`;
+
+// Print a new VAPID key pair in .env format
+function printKeys() {
+  const { publicKey, privateKey } = generateVapidKeys();
+  console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+  console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+  console.log(`VITE_VAPID_PUBLIC_KEY=${publicKey}`);
+}
+
+// Build the notification payload from the command-line options
+function buildPayload(options) {
+  if (options.milestone !== undefined) {
+    const milestone = findMilestone(parseFloat(options.milestone));
+    if (!milestone) {
+      throw new Error(`Unknown milestone "${options.milestone}". Known milestones (days): ${HEALTH_MILESTONES.map((m) => m.days).join(', ')}`);
+    }
+    return getMilestonePayload(milestone);
+  }
+  if (!options.title || !options.body) {
+    throw new Error('Pass --milestone <days>, or --title and --body');
+  }
+  return {
+    title: options.title,
+    body: options.body,
+    tag: options.tag || 'quit-now-notification',
+    url: options.url || '/'
+  };
+}
+
+// Read the VAPID keys and subject from the environment
+function readVapidConfig() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY || !VAPID_SUBJECT) {
+    throw new Error('Set VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT (run "keys" to create a key pair)');
+  }
+  return {
+    vapidKeys: { publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY },
+    subject: VAPID_SUBJECT
+  };
+}
+
+// Send the payload to every subscription in the file; returns how many failed
+async function send(file, options) {
+  const payload = buildPayload(options);
+  const config = readVapidConfig();
+  const parsed = JSON.parse(await readFile(file, 'utf8'));
+  const subscriptions = Array.isArray(parsed) ? parsed : [parsed];
+
+  let failed = 0;
+  for (const subscription of subscriptions) {
+    const endpoint = subscription && subscription.endpoint;
+    try {
+      const response = await sendNotification(subscription, payload, config);
+      console.log(`Sent "${payload.title}" to ${endpoint} (${response.status})`);
+    } catch (error) {
+      failed++;
+      const hint = error.expired ? ' - the subscription has expired, remove it' : '';
+      console.error(`Failed to send to ${endpoint}: ${error.message}${hint}`);
+    }
+  }
+  return failed;
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      milestone: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      tag: { type: 'string' },
+      url: { type: 'string' }
+    }
+  });
+  const [command, file] = positionals;
+
+  if (command === 'keys') {
+    printKeys();
+    return 0;
+  }
+  if (command === 'send' && file) {
+    return (await send(file, values)) > 0 ? 1 : 0;
+  }
+  console.error(USAGE);
+  return 2;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,237 @@
+// Minimal Web Push sender for Node (no dependencies): VAPID authentication (RFC 8292)
+// and aes128gcm payload encryption (RFC 8291). Used by push-sender.js and
+// push-mock-server.js.
+import crypto from 'node:crypto';
+
+// Record size written in the encryption header; payloads are sent as a single record
+const RECORD_SIZE = 4096;
+// AES-GCM authentication tag length
+const TAG_LENGTH = 16;
+// Encryption header: salt (16), record size (4), key length (1) and a P-256 key (65)
+const HEADER_LENGTH = 86;
+// Push services accept bodies up to 4096 bytes; the header, delimiter and tag take the rest
+export const MAX_PAYLOAD_BYTES = 4096 - HEADER_LENGTH - 1 - TAG_LENGTH;
+// How long a VAPID token is valid (push services reject more than 24 hours)
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+// How long the push service keeps an undelivered message by default
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// A failed push. statusCode is the push service's response status (404 and 410 mean the
+// subscription has expired and should be removed).
+export class PushError extends Error {
+  constructor(message, statusCode, body = '') {
+    super(message);
+    this.name = 'PushError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+
+  get expired() {
+    return this.statusCode === 404 || this.statusCode === 410;
+  }
+}
+
+// Encode bytes as base64url without padding (the encoding Web Push uses for keys)
+export function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+// Decode a base64url string
+export function fromBase64Url(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+// Generate a VAPID key pair as base64url strings: the raw uncompressed public key (what
+// the browser's applicationServerKey expects) and the private scalar
+export function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey())
+  };
+}
+
+// Turn a raw public key (and optionally the private scalar) into a KeyObject
+function toKeyObject(publicKey, privateKey = null) {
+  const raw = fromBase64Url(publicKey);
+  if (raw.length !== 65 || raw[0] !== 0x04) {
+    throw new Error('Invalid P-256 public key');
+  }
+  const jwk = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: toBase64Url(raw.subarray(1, 33)),
+    y: toBase64Url(raw.subarray(33, 65))
+  };
+  if (privateKey) {
+    return crypto.createPrivateKey({ key: { ...jwk, d: privateKey }, format: 'jwk' });
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Check that VAPID keys are present and belong together
+export function validateVapidKeys({ publicKey, privateKey } = {}) {
+  if (!publicKey || !privateKey) {
+    throw new Error('VAPID public and private keys are required');
+  }
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(fromBase64Url(privateKey));
+  if (toBase64Url(ecdh.getPublicKey()) !== publicKey) {
+    throw new Error('The VAPID private key does not match the public key');
+  }
+}
+
+// Build the Authorization header value for a push endpoint
+export function createVapidAuthorization(endpoint, { publicKey, privateKey }, subject, now = Date.now()) {
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: subject
+  }));
+  const unsigned = `${header}.${claims}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+    key: toKeyObject(publicKey, privateKey),
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `vapid t=${unsigned}.${toBase64Url(signature)}, k=${publicKey}`;
+}
+
+// Check a VAPID Authorization header for an endpoint; returns the token claims
+export function verifyVapidAuthorization(authorization, endpoint, now = Date.now()) {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(authorization || '');
+  if (!match) {
+    throw new Error('Missing or malformed VAPID Authorization header');
+  }
+  const [, token, publicKey] = match;
+  const [header, claims, signature] = token.split('.');
+  const valid = signature && crypto.verify(
+    'sha256',
+    Buffer.from(`${header}.${claims}`),
+    { key: toKeyObject(publicKey), dsaEncoding: 'ieee-p1363' },
+    fromBase64Url(signature)
+  );
+  if (!valid) {
+    throw new Error('Invalid VAPID signature');
+  }
+  const payload = JSON.parse(fromBase64Url(claims).toString('utf8'));
+  if (payload.aud !== new URL(endpoint).origin) {
+    throw new Error(`VAPID audience ${payload.aud} does not match the endpoint`);
+  }
+  if (!payload.exp || payload.exp * 1000 < now) {
+    throw new Error('VAPID token has expired');
+  }
+  return { ...payload, publicKey };
+}
+
+// HKDF-SHA-256 as a Buffer
+function hkdf(ikm, salt, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// Derive the content encryption key and nonce (RFC 8291 section 3.4)
+function deriveKeys(ecdhSecret, authSecret, userAgentPublicKey, serverPublicKey, salt) {
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = hkdf(ecdhSecret, authSecret, keyInfo, 32);
+  return {
+    key: hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    nonce: hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12)
+  };
+}
+
+// Encrypt a payload for a subscription ({endpoint, keys: {p256dh, auth}}) as an
+// aes128gcm body with a single record
+export function encryptPayload(subscription, payload) {
+  const keys = subscription && subscription.keys;
+  if (!keys || !keys.p256dh || !keys.auth) {
+    throw new Error('The subscription has no encryption keys');
+  }
+  const plaintext = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Payload is too large (${plaintext.length} bytes, at most ${MAX_PAYLOAD_BYTES})`);
+  }
+
+  const userAgentPublicKey = fromBase64Url(keys.p256dh);
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const { key, nonce } = deriveKeys(
+    ecdh.computeSecret(userAgentPublicKey),
+    fromBase64Url(keys.auth),
+    userAgentPublicKey,
+    serverPublicKey,
+    salt
+  );
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+  // 0x02 marks the last (and only) record
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.update(Buffer.from([0x02])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, encrypted]);
+}
+
+// Decrypt an aes128gcm body with the receiving side's keys (the mock endpoint plays the
+// browser). privateKey is the subscription's P-256 private key as base64url.
+export function decryptPayload(body, { p256dh, auth, privateKey }) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(fromBase64Url(privateKey));
+  const { key, nonce } = deriveKeys(
+    ecdh.computeSecret(serverPublicKey),
+    fromBase64Url(auth),
+    fromBase64Url(p256dh),
+    serverPublicKey,
+    salt
+  );
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_LENGTH)), decipher.final()]);
+  // Strip the padding and the record delimiter
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  if (padded[end] !== 0x02) {
+    throw new Error('Invalid record delimiter');
+  }
+  return padded.subarray(0, end).toString('utf8');
+}
+
+// Send a payload to a subscription. Resolves with the push service's response; rejects
+// with a PushError if the service doesn't accept it.
+export async function sendNotification(subscription, payload, options = {}) {
+  const { vapidKeys, subject, ttl = DEFAULT_TTL_SECONDS, urgency = 'normal', fetch: fetchFn = fetch } = options;
+  if (!subscription || !subscription.endpoint) {
+    throw new Error('The subscription has no endpoint');
+  }
+  if (!subject || !/^(mailto:|https:)/.test(subject)) {
+    throw new Error('The VAPID subject must be a mailto: or https: URL');
+  }
+  validateVapidKeys(vapidKeys);
+
+  const response = await fetchFn(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: createVapidAuthorization(subscription.endpoint, vapidKeys, subject),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: String(ttl),
+      Urgency: urgency
+    },
+    body: encryptPayload(subscription, payload)
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new PushError(`Push service responded with ${response.status}`, response.status, body);
+  }
+  return response;
+}
@@ -1,4 +1,10 @@
 import './style.css'
+import * as storage from './storage.js'
+import { HEALTH_MILESTONES, findMilestone, getMilestonePayload } from './milestones.js'
+
+// IndexedDB store for time-series data, loaded from public/event-store.js so the
+// service worker can share it
+const eventStore = self.QuitEventStore;
 
 // Helper function to escape HTML to prevent XSS
 function escapeHtml(text) {
@@ -7,6 +13,67 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// Format a date for display (Dec, 24, 2025 01:02 PM)
+function formatDisplayDate(date) {
+  try {
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const day = date.getDate();
+    const month = monthNames[date.getMonth()];
+    const year = date.getFullYear();
+    let hours = date.getHours();
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12;
+    hours = hours ? hours : 12; // the hour '0' should be '12'
+    const hoursStr = String(hours).padStart(2, '0');
+    return `${month}, ${day}, ${year} ${hoursStr}:${minutes} ${ampm}`;
+  } catch (error) {
+    // Fallback if date formatting fails
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+}
+
+// Format an amount of money in the user's currency and locale
+function formatMoney(amount, currency = getCurrency()) {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value);
+  } catch (error) {
+    // Unknown currency code or no Intl support
+    return `${currency} ${value.toFixed(2)}`;
+  }
+}
+
+// Get a display name for a currency code (e.g. "INR - Indian Rupee")
+function getCurrencyLabel(currency) {
+  try {
+    const name = new Intl.DisplayNames(undefined, { type: 'currency' }).of(currency);
+    return name && name !== currency ? `${currency} - ${name}` : currency;
+  } catch (error) {
+    return currency;
+  }
+}
+
+// Render <option>s for the currency select, including a stored code that isn't in the list
+function renderCurrencyOptions(selected) {
+  const currencies = SUPPORTED_CURRENCIES.includes(selected) ? SUPPORTED_CURRENCIES : [selected, ...SUPPORTED_CURRENCIES];
+  return currencies.map((currency) => `
+    <option value="${escapeHtml(currency)}"${currency === selected ? ' selected' : ''}>${escapeHtml(getCurrencyLabel(currency))}</option>
+  `).join('');
+}
+
+// Format a date as a value for <input type="datetime-local"> (local time)
+function toDateTimeLocalValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
 // Request notification permission
 async function requestNotificationPermission() {
   if (!('Notification' in window)) {
@@ -60,12 +127,12 @@ function showNotification(title, options = {}) {
         console.error('Error showing service worker notification:', error);
       }
       // Fallback to regular notification
-      new Notification(title, options);
+      showPageNotification(title, options);
     });
   } else {
     // Fallback to regular notification
     try {
-      new Notification(title, options);
+      showPageNotification(title, options);
     } catch (error) {
       if (import.meta.env.DEV) {
         console.error('Error showing notification:', error);
@@ -74,110 +141,294 @@ function showNotification(title, options = {}) {
   }
 }
 
-// Load notified milestones and benefits from localStorage
-function loadNotifiedItems() {
-  try {
-    const stored = localStorage.getItem('notifiedMilestones');
-    if (stored) {
-      notifiedMilestones = new Set(JSON.parse(stored));
-    }
-    
-    const storedBenefits = localStorage.getItem('notifiedBenefits');
-    if (storedBenefits) {
-      notifiedBenefits = new Set(JSON.parse(storedBenefits));
-    }
-    
-    const storedDaily = localStorage.getItem('lastDailyNotification');
-    if (storedDaily) {
-      lastDailyNotification = new Date(storedDaily);
-    }
-  } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error('Error loading notified items:', error);
+// Show a notification from the page itself; clicking it opens its target like the service
+// worker does
+function showPageNotification(title, options) {
+  const notification = new Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+    if (options.data && options.data.url) {
+      openAppLink(options.data.url);
     }
+  };
+  return notification;
+}
+
+// Load notified milestones and benefits from storage
+function loadNotifiedItems() {
+  const storedMilestones = storage.getItem('notifiedMilestones');
+  if (storedMilestones) {
+    notifiedMilestones = new Set(storedMilestones);
+  }
+  
+  const storedBenefits = storage.getItem('notifiedBenefits');
+  if (storedBenefits) {
+    notifiedBenefits = new Set(storedBenefits);
+  }
+  
+  const storedDaily = storage.getItem('lastDailyNotification');
+  if (storedDaily) {
+    lastDailyNotification = storedDaily;
   }
 }
 
-// Save notified milestones and benefits to localStorage
+// Save notified milestones and benefits to storage
 function saveNotifiedItems() {
-  try {
-    localStorage.setItem('notifiedMilestones', JSON.stringify(Array.from(notifiedMilestones)));
-    localStorage.setItem('notifiedBenefits', JSON.stringify(Array.from(notifiedBenefits)));
-    if (lastDailyNotification) {
-      localStorage.setItem('lastDailyNotification', lastDailyNotification.toISOString());
+  storage.setItems({
+    notifiedMilestones: Array.from(notifiedMilestones),
+    notifiedBenefits: Array.from(notifiedBenefits),
+    ...(lastDailyNotification ? { lastDailyNotification } : {})
+  });
+}
+
+// Check an "HH:MM" time of day
+function isTimeOfDay(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+// Convert an "HH:MM" time of day to minutes after midnight
+function timeToMinutes(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Get notification preferences from storage, filling in defaults for anything missing
+function getNotificationPrefs() {
+  const stored = storage.getItem('notificationPrefs', {});
+  const prefs = { ...DEFAULT_NOTIFICATION_PREFS, quietHours: { ...DEFAULT_NOTIFICATION_PREFS.quietHours } };
+  Object.keys(NOTIFICATION_CATEGORIES).forEach((category) => {
+    if (typeof stored[category] === 'boolean') prefs[category] = stored[category];
+  });
+  if (isTimeOfDay(stored.dailySummaryTime)) {
+    prefs.dailySummaryTime = stored.dailySummaryTime;
+  }
+  const quietHours = stored.quietHours || {};
+  if (typeof quietHours.enabled === 'boolean') prefs.quietHours.enabled = quietHours.enabled;
+  if (isTimeOfDay(quietHours.start)) prefs.quietHours.start = quietHours.start;
+  if (isTimeOfDay(quietHours.end)) prefs.quietHours.end = quietHours.end;
+  return prefs;
+}
+
+// Validate notification preferences; returns an error message or null
+function validateNotificationPrefs(prefs) {
+  if (!isTimeOfDay(prefs.dailySummaryTime)) {
+    return 'Please choose a time for the daily summary.';
+  }
+  if (prefs.quietHours.enabled) {
+    if (!isTimeOfDay(prefs.quietHours.start) || !isTimeOfDay(prefs.quietHours.end)) {
+      return 'Please choose when quiet hours start and end.';
     }
-  } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error('Error saving notified items:', error);
+    if (prefs.quietHours.start === prefs.quietHours.end) {
+      return 'Quiet hours need different start and end times.';
     }
   }
+  return null;
+}
+
+// Save notification preferences to storage
+function setNotificationPrefs(prefs) {
+  if (validateNotificationPrefs(prefs)) {
+    return false;
+  }
+  return storage.setItem('notificationPrefs', prefs);
+}
+
+// Check whether a time falls inside quiet hours (which may span midnight)
+function isInQuietHours(prefs, now = new Date()) {
+  const { enabled, start, end } = prefs.quietHours;
+  if (!enabled) return false;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const startMinutes = timeToMinutes(start);
+  const endMinutes = timeToMinutes(end);
+  return startMinutes < endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
 }
 
-// Check for milestone achievements and send notifications
+// Check for milestone achievements and send notifications. A turned-off category still
+// marks milestones as notified (so turning it back on doesn't replay them), while quiet
+// hours hold them back until they end.
 function checkMilestoneNotifications(quitDate) {
   if (!quitDate || Notification.permission !== 'granted') return;
+  const prefs = getNotificationPrefs();
+  if (isInQuietHours(prefs)) return;
   
   // Don't send notifications during countdown mode
   const timeElapsed = calculateTimeElapsed(quitDate);
   if (timeElapsed.isCountdown) return;
   
-  const health = calculateHealthRegeneration(quitDate);
-  const milestones = [
-    { days: 0.014, name: 'Heart rate normalizes' },
-    { days: 0.5, name: 'Blood pressure drops' },
-    { days: 1, name: 'Oxygen in blood rises' },
-    { days: 7, name: 'Breathing easier' },
-    { days: 14, name: 'Circulation improves' },
-    { days: 30, name: 'Lung function improves' },
-    { days: 60, name: 'Better lung function' },
-    { days: 90, name: 'Sperm quality improves' },
-    { days: 180, name: 'Depression risk decreases' },
-    { days: 365, name: 'Heart disease risk drops' },
-    { days: 730, name: 'Stroke risk drops' },
-    { days: 1825, name: 'Chronic bronchitis risk drops' },
-    { days: 3650, name: 'Lung cancer risk drops' },
-    { days: 5475, name: 'Heart disease risk ≈ non-smoker' }
-  ];
-  
   const now = new Date();
   const nowUTC = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds());
   const quitUTC = Date.UTC(quitDate.getFullYear(), quitDate.getMonth(), quitDate.getDate(), quitDate.getHours(), quitDate.getMinutes(), quitDate.getSeconds());
   const diff = nowUTC - quitUTC;
   const days = diff / (1000 * 60 * 60 * 24);
   
-  milestones.forEach((milestone) => {
+  HEALTH_MILESTONES.forEach((milestone) => {
     const milestoneKey = `milestone-${milestone.days}`;
     
     // Check if milestone is reached and not yet notified
     if (days >= milestone.days && !notifiedMilestones.has(milestoneKey)) {
       notifiedMilestones.add(milestoneKey);
       saveNotifiedItems();
+      if (!prefs.milestones) return;
       
-      // Send notification
-      const daysText = milestone.days < 1 
-        ? `${Math.round(milestone.days * 24 * 60)} minutes`
-        : milestone.days === 1 
-        ? '1 day'
-        : milestone.days < 7
-        ? `${Math.round(milestone.days)} days`
-        : milestone.days < 30
-        ? `${Math.round(milestone.days / 7)} weeks`
-        : milestone.days < 365
-        ? `${Math.round(milestone.days / 30)} months`
-        : `${Math.round(milestone.days / 365)} years`;
-      
-      showNotification('Milestone Achieved!', {
-        body: `${milestone.name} - You've been smoke-free for ${daysText}!`,
-        tag: milestoneKey,
-        vibrate: [300, 200, 300]
+      // The service worker may already have shown it while the app was closed
+      claimNotification(milestoneKey).then((claimed) => {
+        if (!claimed) return;
+        const { title, body, tag, url } = getMilestonePayload(milestone);
+        showNotification(title, {
+          body,
+          tag,
+          vibrate: [300, 200, 300],
+          data: { url }
+        });
       });
     }
   });
 }
 
-// Check for health benefit achievements and send notifications
+// Record a notification in the event store so the page and the service worker never both
+// show it; resolves to whether this page should show it. Without IndexedDB the page shows
+// it, as before.
+async function claimNotification(tag) {
+  try {
+    await eventStoreReady;
+    return await eventStore.claim('notifications', { tag, notifiedAt: Date.now() });
+  } catch (error) {
+    handleEventStoreError(error, 'claiming notification');
+    return true;
+  }
+}
+
+// Build the schedule the service worker uses to notify while the app is closed
+function buildNotificationSchedule() {
+  const quitDate = getQuitDate();
+  return {
+    key: NOTIFICATION_SCHEDULE_KEY,
+    quitDate: quitDate ? quitDate.getTime() : null,
+    prefs: getNotificationPrefs(),
+    milestones: quitDate ? HEALTH_MILESTONES.map((milestone) => ({
+      ...getMilestonePayload(milestone),
+      at: quitDate.getTime() + milestone.days * 24 * 60 * 60 * 1000
+    })) : [],
+    // Milestones this page already notified before notifications were shared
+    notified: Array.from(notifiedMilestones)
+  };
+}
+
+// Share the notification schedule with the service worker so milestones and the daily
+// summary still arrive while the app is closed
+async function syncNotificationSchedule() {
+  try {
+    await eventStoreReady;
+    await eventStore.put('workerState', buildNotificationSchedule());
+  } catch (error) {
+    handleEventStoreError(error, 'saving notification schedule');
+    return;
+  }
+  
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration || !registration.active) return;
+    registration.active.postMessage({ type: 'SCHEDULE_NOTIFICATIONS' });
+    await registerPeriodicNotificationSync(registration);
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.error('Error scheduling background notifications:', error);
+    }
+  }
+  await updatePushSubscription();
+}
+
+// Check whether this build and browser can subscribe to push notifications
+function isPushSupported() {
+  return Boolean(PUSH_PUBLIC_KEY) && 'serviceWorker' in navigator && 'PushManager' in window;
+}
+
+// Turn a base64url VAPID key into the bytes pushManager.subscribe() expects
+function urlBase64ToUint8Array(value) {
+  const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+// Get this browser's push subscription (null if it isn't subscribed)
+async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+// Tell the push server about a subscription (POST) or that it is gone (DELETE). The quit
+// date and preferences let the server time milestone reminders.
+async function sendPushSubscription(method, subscription) {
+  if (!PUSH_SERVER_URL) return;
+  const quitDate = getQuitDate();
+  const response = await fetch(PUSH_SERVER_URL, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      subscription: subscription.toJSON(),
+      quitDate: quitDate ? quitDate.toISOString() : null,
+      prefs: getNotificationPrefs()
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`Push server responded with ${response.status}`);
+  }
+}
+
+// Subscribe to push notifications; resolves to the subscription, or null without permission
+async function subscribeToPush() {
+  if (!(await requestNotificationPermission())) return null;
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(PUSH_PUBLIC_KEY)
+  });
+  await sendPushSubscription('POST', subscription);
+  return subscription;
+}
+
+// Unsubscribe from push notifications
+async function unsubscribeFromPush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await subscription.unsubscribe();
+  await sendPushSubscription('DELETE', subscription);
+}
+
+// Keep the push server's copy of the quit date and preferences current
+async function updatePushSubscription() {
+  if (!PUSH_SERVER_URL) return;
+  try {
+    const subscription = await getPushSubscription();
+    if (subscription) {
+      await sendPushSubscription('POST', subscription);
+    }
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.error('Error updating push subscription:', error);
+    }
+  }
+}
+
+// Ask for periodic background sync, which lets the worker show due notifications in
+// browsers without Notification Triggers
+async function registerPeriodicNotificationSync(registration) {
+  if (!('periodicSync' in registration) || !navigator.permissions) return;
+  const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+  if (status.state !== 'granted') return;
+  await registration.periodicSync.register(NOTIFICATION_SYNC_TAG, { minInterval: NOTIFICATION_SYNC_INTERVAL });
+}
+
+// Check for health benefit achievements and send notifications (preferences are applied
+// the same way as for milestones)
 function checkBenefitNotifications(quitDate) {
   if (!quitDate || Notification.permission !== 'granted') return;
+  const prefs = getNotificationPrefs();
+  if (isInQuietHours(prefs)) return;
   
   // Don't send notifications during countdown mode
   const timeElapsed = calculateTimeElapsed(quitDate);
@@ -192,20 +443,46 @@ function checkBenefitNotifications(quitDate) {
     if (benefit.progress >= 100 && !notifiedBenefits.has(benefitKey)) {
       notifiedBenefits.add(benefitKey);
       saveNotifiedItems();
+      if (!prefs.benefits) return;
       
       // Send notification for ALL benefits when they reach 100%
       showNotification('Health Benefit Achieved!', {
         body: `${benefit.name} - ${benefit.details.substring(0, 80)}...`,
         tag: benefitKey,
-        vibrate: [200, 100, 200]
+        vibrate: [200, 100, 200],
+        data: { url: `/?benefit=${encodeURIComponent(benefit.name)}` }
       });
     }
   });
 }
 
-// Send daily progress notification
+// Notify once per attempt when a savings goal becomes affordable
+function checkGoalNotifications(quitDate) {
+  if (!quitDate || Notification.permission !== 'granted') return;
+  const prefs = getNotificationPrefs();
+  if (isInQuietHours(prefs)) return;
+  
+  const stats = calculateStats(quitDate);
+  const { goals } = calculateSavingsGoals(quitDate, parseFloat(stats.moneySaved));
+  const attemptKey = quitDate.toISOString();
+  
+  goals.forEach((goal) => {
+    if (goal.purchasedAt || !goal.affordable || goal.notifiedFor === attemptKey) return;
+    updateSavingsGoal(goal.id, { notifiedFor: attemptKey });
+    if (!prefs.goals) return;
+    showNotification('Savings Goal Reached!', {
+      body: `${goal.emoji || DEFAULT_GOAL_EMOJI} You can now afford ${goal.name} (${formatMoney(goal.price)}) with the money you've saved!`,
+      tag: `goal-${goal.id}`,
+      vibrate: [200, 100, 200]
+    });
+  });
+}
+
+// Send daily progress notification at the user's chosen time
 function checkDailyNotification(quitDate) {
   if (!quitDate || Notification.permission !== 'granted') return;
+  const prefs = getNotificationPrefs();
+  if (!prefs.dailySummary || isInQuietHours(prefs)) return;
   
   // Don't send notifications during countdown mode
   const timeElapsed = calculateTimeElapsed(quitDate);
@@ -222,9 +499,8 @@ function checkDailyNotification(quitDate) {
     }
   }
   
-  // Send notification at 9 AM (or if it's past 9 AM and we haven't notified today)
-  const notificationHour = 9;
-  if (now.getHours() >= notificationHour) {
+  // Send notification at the chosen time (or later, if we haven't notified today)
+  if (now.getHours() * 60 + now.getMinutes() >= timeToMinutes(prefs.dailySummaryTime)) {
     const stats = calculateStats(quitDate);
     const timeElapsed = calculateTimeElapsed(quitDate);
     
@@ -238,14 +514,18 @@ function checkDailyNotification(quitDate) {
       timeText = `${timeElapsed.minutes} minute${timeElapsed.minutes !== 1 ? 's' : ''}`;
     }
     
-    showNotification('Daily Progress Update', {
-      body: `You've been smoke-free for ${timeText}! Saved $${stats.moneySaved} and avoided ${stats.cigarettesAvoided} cigarettes. Keep going!`,
-      tag: 'daily-progress',
-      vibrate: [100, 50, 100]
-    });
-    
     lastDailyNotification = now;
     saveNotifiedItems();
+    
+    // The service worker may already have sent today's summary
+    claimNotification(`daily-${today.toDateString()}`).then((claimed) => {
+      if (!claimed) return;
+      showNotification('Daily Progress Update', {
+        body: `You've been smoke-free for ${timeText}! Saved ${formatMoney(stats.moneySaved)} and avoided ${formatAvoided(stats.products)}. Keep going!`,
+        tag: 'daily-progress',
+        vibrate: [100, 50, 100]
+      });
+    });
   }
 }
 
@@ -259,10 +539,14 @@ function startNotificationChecking(quitDate) {
     notificationCheckInterval = null;
   }
   
+  // Let the service worker take over while the app is closed
+  syncNotificationSchedule();
+  
   // Check immediately
   checkMilestoneNotifications(quitDate);
   checkBenefitNotifications(quitDate);
   checkDailyNotification(quitDate);
+  checkGoalNotifications(quitDate);
   checkWaterIntakeReminder();
   
   // Check every 5 minutes for new milestones and benefits
@@ -270,6 +554,7 @@ function startNotificationChecking(quitDate) {
     checkMilestoneNotifications(quitDate);
     checkBenefitNotifications(quitDate);
     checkDailyNotification(quitDate);
+    checkGoalNotifications(quitDate);
     checkWaterIntakeReminder();
   }, 5 * 60 * 1000); // 5 minutes
 }
@@ -277,23 +562,15 @@ function startNotificationChecking(quitDate) {
 // Check water intake reminder
 function checkWaterIntakeReminder() {
   if (Notification.permission !== 'granted') return;
+  const prefs = getNotificationPrefs();
+  if (!prefs.water || isInQuietHours(prefs)) return;
   
   const intake = getTodayWaterIntake();
   const goal = getWaterGoal();
   const percentage = goal > 0 ? (intake / goal) * 100 : 0;
   
   // Get last reminder time
-  let lastReminder = null;
-  try {
-    const stored = localStorage.getItem('lastWaterReminder');
-    if (stored) {
-      lastReminder = new Date(stored);
-    }
-  } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error('Error reading last water reminder:', error);
-    }
-  }
+  const lastReminder = storage.getItem('lastWaterReminder');
   
   const now = new Date();
   const hoursSinceLastReminder = lastReminder ? (now - lastReminder) / (1000 * 60 * 60) : 24;
@@ -306,30 +583,20 @@ function checkWaterIntakeReminder() {
   // Remind every 2 hours if below 50% of goal, or every 3 hours if below 80%
   if (percentage < 50 && hoursSinceLastReminder >= 2) {
     showNotification('Water Reminder', {
-      body: `You've had ${(intake / 1000).toFixed(1)}L today. Stay hydrated! Your goal is ${(goal / 1000).toFixed(1)}L.`,
+      body: `You've had ${formatWaterTotal(intake)} today. Stay hydrated! Your goal is ${formatWaterTotal(goal)}.`,
       tag: 'water-reminder',
-      vibrate: [100, 50, 100]
+      vibrate: [100, 50, 100],
+      data: { url: WATER_REMINDER_URL }
     });
-    try {
-      localStorage.setItem('lastWaterReminder', now.toISOString());
-    } catch (error) {
-      if (import.meta.env.DEV) {
-        console.error('Error saving water reminder:', error);
-      }
-    }
+    storage.setItem('lastWaterReminder', now);
   } else if (percentage < 80 && percentage >= 50 && hoursSinceLastReminder >= 3) {
     showNotification('Water Reminder', {
       body: `You're at ${Math.round(percentage)}% of your goal. Keep going!`,
       tag: 'water-reminder',
-      vibrate: [100, 50, 100]
+      vibrate: [100, 50, 100],
+      data: { url: WATER_REMINDER_URL }
     });
-    try {
-      localStorage.setItem('lastWaterReminder', now.toISOString());
-    } catch (error) {
-      if (import.meta.env.DEV) {
-        console.error('Error saving water reminder:', error);
-      }
-    }
+    storage.setItem('lastWaterReminder', now);
   }
 }
 
@@ -344,6 +611,35 @@ function stopNotificationChecking() {
 // Register service worker for PWA (only in production or when not in dev mode)
 let serviceWorkerUpdateInterval = null;
 
+// Tell the user a new version is waiting. It only takes over (and the page reloads) when
+// they choose to, so nothing is interrupted mid-task.
+function showUpdateBanner(worker) {
+  const existingBanner = document.querySelector('.update-banner');
+  if (existingBanner) {
+    existingBanner.remove();
+  }
+  if (!document.body) return;
+  
+  const banner = document.createElement('div');
+  banner.className = 'update-banner';
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = `
+    <span class="update-banner-text">New version available</span>
+    <button class="update-banner-reload" type="button">Reload</button>
+    <button class="update-banner-dismiss" type="button" aria-label="Dismiss">&times;</button>
+  `;
+  document.body.appendChild(banner);
+  
+  banner.querySelector('.update-banner-reload').addEventListener('click', () => {
+    banner.remove();
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  // The update waits for the next time the app is opened
+  banner.querySelector('.update-banner-dismiss').addEventListener('click', () => {
+    banner.remove();
+  });
+}
+
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
     // Only register service worker in production build
@@ -365,16 +661,19 @@ if ('serviceWorker' in navigator) {
             }
           });
           
+          // A new version installed while this page was closed is already waiting
+          if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+          }
+          
           // Listen for updates
           registration.addEventListener('updatefound', () => {
             const newWorker = registration.installing;
             if (newWorker) {
               newWorker.addEventListener('statechange', () => {
-                if (newWorker.state === 'installed') {
-                  if (navigator.serviceWorker.controller) {
-                    // New service worker available, force reload
-                    window.location.reload();
-                  }
+                // Without a controller this is the first install, not an update
+                if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                  showUpdateBanner(newWorker);
                 }
               });
             }
@@ -399,9 +698,23 @@ if ('serviceWorker' in navigator) {
     }
   });
   
-  // Listen for service worker controller changes
+  // Notification clicks are passed to an open window instead of opening another one
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'OPEN_NOTIFICATION_TARGET') {
+      openAppLink(event.data.url);
+    }
+  });
+  
+  // Reload once an update takes over, in every open tab and not only the one where the
+  // user chose to reload, so no tab keeps running the old build against the new worker.
+  // The first install claiming a page that had no controller doesn't reload.
+  let hadController = Boolean(navigator.serviceWorker.controller);
   let refreshing = false;
   navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController) {
+      hadController = true;
+      return;
+    }
     if (!refreshing) {
       refreshing = true;
       window.location.reload();
@@ -413,7 +726,132 @@ if ('serviceWorker' in navigator) {
 const DEFAULT_CIGARETTES_PER_DAY = 20;
 const DEFAULT_COST_PER_PACK = 10;
 const DEFAULT_WATER_GOAL_ML = 2000; // 2 liters default
+const MAX_WATER_ENTRY_ML = 5000; // Largest single custom water entry
+const WATER_HISTORY_RANGES = [7, 30]; // Days the water history chart can show
+const WATER_STREAK_DAYS = 365; // Days looked back over when counting water goal streaks
+const MIN_WATER_GOAL_ML = 500;
+const WATER_REMINDER_URL = '/?section=water'; // Where a water reminder click leads
+const MAX_WATER_GOAL_ML = 10000;
+
+// Units water can be shown and entered in. Amounts are always stored in ml; `ml` is the
+// size of one unit and the quick-add buttons are in the unit itself.
+const WATER_UNITS = {
+  ml: { label: 'Millilitres (ml / L)', ml: 1, step: 1, quickAmounts: [250, 500, 750], weightUnit: 'kg' },
+  oz: { label: 'US fluid ounces (fl oz)', ml: 29.5735, step: 0.1, quickAmounts: [8, 16, 24], weightUnit: 'lb' },
+  cups: { label: 'US cups', ml: 236.588, step: 0.25, quickAmounts: [1, 2, 3], weightUnit: 'lb' }
+};
+const DEFAULT_WATER_UNIT = 'ml';
+
+// Activity levels for the water goal calculator and the extra water each one needs
+const WATER_ACTIVITY_LEVELS = {
+  sedentary: { label: 'Mostly sitting', extraMl: 0 },
+  light: { label: 'Lightly active', extraMl: 350 },
+  active: { label: 'Exercise most days', extraMl: 700 },
+  veryActive: { label: 'Very active or hot climate', extraMl: 1000 }
+};
+const WATER_ML_PER_KG = 33; // Common rule of thumb for daily water needs
+const KG_PER_LB = 0.453592;
+const DEFAULT_CURRENCY = 'USD';
+
+// ISO 4217 currencies offered in setup (any valid code stored by hand still works)
+const SUPPORTED_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN',
+  'CZK', 'HUF', 'RON', 'TRY', 'RUB', 'UAH', 'JPY', 'CNY', 'KRW', 'SGD', 'HKD', 'IDR',
+  'MYR', 'PHP', 'THB', 'VND', 'PKR', 'BDT', 'LKR', 'NPR', 'AED', 'SAR', 'ILS', 'EGP',
+  'ZAR', 'NGN', 'KES', 'BRL', 'MXN', 'ARS', 'CLP', 'COP'
+];
 const CIGARETTES_PER_PACK = 20;
+const MAX_SLIP_NOTE_LENGTH = 200;
+const MAX_CUSTOM_TRIGGER_LENGTH = 30;
+
+// Product profiles: units, pack size and setup defaults for each kind of product
+const PRODUCT_PROFILES = {
+  cigarettes: {
+    label: 'Cigarettes', unit: 'cigarette', unitPlural: 'cigarettes', suffix: '', packName: 'pack',
+    packSize: CIGARETTES_PER_PACK, perDay: DEFAULT_CIGARETTES_PER_DAY, costPerPack: DEFAULT_COST_PER_PACK, step: 1,
+    avoidedLabel: 'Cigarettes Avoided'
+  },
+  'rolling-tobacco': {
+    label: 'Rolling tobacco', unit: 'gram', unitPlural: 'grams', suffix: 'g', packName: 'pouch',
+    packSize: 50, perDay: 5, costPerPack: 20, step: 0.5,
+    avoidedLabel: 'Tobacco Avoided'
+  },
+  cigars: {
+    label: 'Cigars', unit: 'cigar', unitPlural: 'cigars', suffix: '', packName: 'box',
+    packSize: 10, perDay: 2, costPerPack: 30, step: 1,
+    avoidedLabel: 'Cigars Avoided'
+  },
+  'vape-pods': {
+    label: 'E-cigarette pods', unit: 'pod', unitPlural: 'pods', suffix: '', packName: 'pack',
+    packSize: 4, perDay: 1, costPerPack: 15, step: 0.5,
+    avoidedLabel: 'Pods Avoided'
+  },
+  'vape-liquid': {
+    label: 'E-liquid', unit: 'millilitre', unitPlural: 'millilitres', suffix: 'ml', packName: 'bottle',
+    packSize: 10, perDay: 3, costPerPack: 6, step: 0.5,
+    avoidedLabel: 'E-Liquid Avoided'
+  },
+  'nicotine-pouches': {
+    label: 'Nicotine pouches', unit: 'pouch', unitPlural: 'pouches', suffix: '', packName: 'can',
+    packSize: 20, perDay: 10, costPerPack: 6, step: 1,
+    avoidedLabel: 'Pouches Avoided'
+  },
+  bidi: {
+    label: 'Bidi / beedi', unit: 'bidi', unitPlural: 'bidis', suffix: '', packName: 'bundle',
+    packSize: 25, perDay: 20, costPerPack: 1, step: 1,
+    avoidedLabel: 'Bidis Avoided'
+  }
+};
+
+// Annual inflation used for savings projections is capped at this percentage
+const MAX_INFLATION_RATE = 50;
+// Horizons (in years) shown in the savings projection
+const PROJECTION_YEARS = [1, 5, 10];
+
+// Savings goal limits
+const MAX_GOAL_NAME_LENGTH = 40;
+const MAX_GOAL_PRICE = 1000000;
+const DEFAULT_GOAL_EMOJI = '🎁';
+
+// Backup files: format marker, current schema version and maximum file size
+const BACKUP_FORMAT = 'quit-now-backup';
+const BACKUP_VERSION = 1;
+const MAX_BACKUP_SIZE = 5 * 1024 * 1024;
+
+// Craving-surf (SOS) session length
+const SOS_DURATION_SECONDS = 5 * 60;
+
+// Breathing pacer patterns (phase lengths in seconds)
+const BREATHING_PATTERNS = {
+  box: {
+    label: 'Box 4-4-4-4',
+    phases: [
+      { label: 'Breathe in', seconds: 4, expand: true },
+      { label: 'Hold', seconds: 4, expand: true },
+      { label: 'Breathe out', seconds: 4, expand: false },
+      { label: 'Hold', seconds: 4, expand: false }
+    ]
+  },
+  '478': {
+    label: '4-7-8',
+    phases: [
+      { label: 'Breathe in', seconds: 4, expand: true },
+      { label: 'Hold', seconds: 7, expand: true },
+      { label: 'Breathe out', seconds: 8, expand: false }
+    ]
+  }
+};
+
+// Craving trigger categories
+const CRAVING_TRIGGERS = [
+  { id: 'stress', label: 'Stress' },
+  { id: 'coffee', label: 'Coffee' },
+  { id: 'alcohol', label: 'Alcohol' },
+  { id: 'after-meal', label: 'After meal' },
+  { id: 'social', label: 'Social' },
+  { id: 'boredom', label: 'Boredom' },
+  { id: 'custom', label: 'Custom' }
+];
 
 // Notification system
 let notificationPermission = null;
@@ -422,6 +860,36 @@ let notifiedBenefits = new Set();
 let lastDailyNotification = null;
 let notificationCheckInterval = null;
 
+// Notification categories users can turn off in settings
+const NOTIFICATION_CATEGORIES = {
+  milestones: 'Health milestones',
+  benefits: 'Health benefits reached',
+  goals: 'Savings goals',
+  dailySummary: 'Daily progress summary',
+  water: 'Water reminders'
+};
+
+// Shared with public/sw.js, which shows notifications while the app is closed
+const NOTIFICATION_SCHEDULE_KEY = 'notificationSchedule';
+const NOTIFICATION_SYNC_TAG = 'quit-now-notifications';
+const NOTIFICATION_SYNC_INTERVAL = 60 * 60 * 1000; // Browsers may sync less often
+
+// Web Push (see scripts/push-sender.js). Push is offered only when a VAPID public key is
+// configured; subscriptions go to the push server if one is set, otherwise they can be
+// copied by hand.
+const PUSH_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || '';
+const PUSH_SERVER_URL = import.meta.env.VITE_PUSH_SERVER_URL || '';
+
+const DEFAULT_NOTIFICATION_PREFS = {
+  milestones: true,
+  benefits: true,
+  goals: true,
+  dailySummary: true,
+  water: true,
+  dailySummaryTime: '09:00',
+  quietHours: { enabled: false, start: '22:00', end: '07:00' }
+};
+
 // Motivational tips and messages
 const MOTIVATIONAL_TIPS = [
   'Quit Now',
@@ -450,155 +918,463 @@ const MOTIVATIONAL_TIPS = [
 let tipInterval = null;
 let currentTipIndex = 0;
 
-// Get quit date from localStorage or set new one
+// Get quit date from storage
 function getQuitDate() {
-  try {
-    const stored = localStorage.getItem('quitDate');
-    if (!stored) return null;
-    const date = new Date(stored);
-    // Validate date
-    if (isNaN(date.getTime())) {
-      localStorage.removeItem('quitDate');
-      return null;
-    }
-    return date;
-  } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error('Error reading quit date from localStorage:', error);
-    }
-    return null;
-  }
+  return storage.getItem('quitDate');
 }
 
-// Get nickname from localStorage
+// Get nickname from storage
 function getNickname() {
-  try {
-    return localStorage.getItem('nickname') || '';
-  } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error('Error reading nickname from localStorage:', error);
-    }
-    return '';
-  }
+  return storage.getItem('nickname', '');
+}
+
+// Sanitize a nickname entered by the user - remove HTML tags and limit length (null if empty)
+function sanitizeNickname(nickname) {
+  return nickname && nickname.trim() ? nickname.trim().substring(0, 20).replace(/[<>]/g, '') : null;
 }
 
-// Set nickname in localStorage
+// Set nickname in storage
 function setNickname(nickname) {
-  try {
-    if (nickname && nickname.trim()) {
-      // Sanitize nickname - remove HTML tags and limit length
-      const sanitized = nickname.trim().substring(0, 20).replace(/[<>]/g, '');
-      localStorage.setItem('nickname', sanitized);
-    } else {
-      localStorage.removeItem('nickname');
-    }
-  } catch (error) {
-    if (error.name === 'QuotaExceededError') {
-      showErrorModal('Storage is full. Please clear some data.');
-    }
+  return storage.setItem('nickname', sanitizeNickname(nickname));
+}
+
+// Get currency (ISO 4217 code) from storage
+function getCurrency() {
+  const stored = storage.getItem('currency');
+  return stored && /^[A-Z]{3}$/.test(stored) ? stored : DEFAULT_CURRENCY;
+}
+
+// Normalize a currency code entered by the user (e.g. " eur" becomes "EUR")
+function normalizeCurrency(currency) {
+  return String(currency || '').trim().toUpperCase();
+}
+
+// Validate a currency code entered by the user; returns an error message or null
+function validateCurrency(currency) {
+  return /^[A-Z]{3}$/.test(normalizeCurrency(currency)) ? null : 'Please choose a valid currency.';
+}
+
+// Set currency in storage
+function setCurrency(currency) {
+  if (validateCurrency(currency)) {
+    return false;
   }
+  return storage.setItem('currency', normalizeCurrency(currency));
 }
 
-// Get water intake goal from localStorage
+// Get water intake goal from storage
 function getWaterGoal() {
-  try {
-    const stored = localStorage.getItem('waterGoal');
-    return stored ? parseInt(stored) : DEFAULT_WATER_GOAL_ML;
-  } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error('Error reading water goal from localStorage:', error);
-    }
-    return DEFAULT_WATER_GOAL_ML;
-  }
+  return storage.getItem('waterGoal', DEFAULT_WATER_GOAL_ML);
 }
 
-// Set water intake goal in localStorage
+// Set water intake goal in storage
 function setWaterGoal(goal) {
-  try {
-    const goalNum = parseInt(goal);
-    if (goalNum >= 500 && goalNum <= 10000) {
-      localStorage.setItem('waterGoal', goalNum.toString());
-      return true;
-    }
-    return false;
-  } catch (error) {
-    if (error.name === 'QuotaExceededError') {
-      showErrorModal('Storage is full. Please clear some data or use a different browser.');
-    } else if (import.meta.env.DEV) {
-      console.error('Error saving water goal to localStorage:', error);
-    }
+  const goalNum = parseInt(goal);
+  if (goalNum >= MIN_WATER_GOAL_ML && goalNum <= MAX_WATER_GOAL_ML) {
+    return storage.setItem('waterGoal', goalNum);
+  }
+  return false;
+}
+
+// Get the unit water is shown in from storage
+function getWaterUnit() {
+  const stored = storage.getItem('waterUnit');
+  return WATER_UNITS[stored] ? stored : DEFAULT_WATER_UNIT;
+}
+
+// Validate a water unit chosen by the user; returns an error message or null
+function validateWaterUnit(unit) {
+  return WATER_UNITS[unit] ? null : 'Please choose valid water units.';
+}
+
+// Set the unit water is shown in
+function setWaterUnit(unit) {
+  if (validateWaterUnit(unit)) {
     return false;
   }
+  return storage.setItem('waterUnit', unit);
+}
+
+// Convert ml to the given unit, rounded for display
+function toWaterUnit(ml, unit = getWaterUnit()) {
+  return Math.round((ml / WATER_UNITS[unit].ml) * 10) / 10;
+}
+
+// Convert an amount in the given unit to whole ml
+function fromWaterUnit(amount, unit = getWaterUnit()) {
+  return Math.round(amount * WATER_UNITS[unit].ml);
+}
+
+// Get the label for a water amount in the given unit (e.g. "fl oz", "cup")
+function getWaterUnitSuffix(amount, unit = getWaterUnit()) {
+  if (unit === 'oz') return ' fl oz';
+  if (unit === 'cups') return amount === 1 ? ' cup' : ' cups';
+  return 'ml';
+}
+
+// Format a single water amount (an entry or button), e.g. "250ml" or "8 fl oz"
+function formatWaterAmount(ml, unit = getWaterUnit()) {
+  const amount = toWaterUnit(ml, unit);
+  return `${amount}${getWaterUnitSuffix(amount, unit)}`;
+}
+
+// Format a daily water total or goal; metric totals are shown in litres
+function formatWaterTotal(ml, unit = getWaterUnit()) {
+  if (unit === 'ml') {
+    return `${(ml / 1000).toFixed(1)}L`;
+  }
+  return formatWaterAmount(ml, unit);
+}
+
+// Suggest a daily water goal in ml from body weight and activity level
+function suggestWaterGoal(weightKg, activity) {
+  const goal = weightKg * WATER_ML_PER_KG + WATER_ACTIVITY_LEVELS[activity].extraMl;
+  // Round to a tidy 50ml and keep it within the allowed goal range
+  return Math.min(MAX_WATER_GOAL_ML, Math.max(MIN_WATER_GOAL_ML, Math.round(goal / 50) * 50));
 }
 
-// Get today's water intake from localStorage
+// Get today's water intake from storage
 function getTodayWaterIntake() {
+  const data = storage.getItem('waterIntake');
+  // Only use the stored total if it is for today
+  if (data && data.date === new Date().toDateString()) {
+    return data.intake || 0;
+  }
+  return 0;
+}
+
+// Add water intake for today; resolves to the new total. The daily total in storage is
+// what the tracker shows; each entry is also recorded in the event store for the log.
+async function addWaterIntake(amount) {
+  const previousIntake = getTodayWaterIntake();
+  const newIntake = previousIntake + amount;
+  if (!storage.setItem('waterIntake', { date: new Date().toDateString(), intake: newIntake })) {
+    return previousIntake;
+  }
   try {
-    const today = new Date().toDateString();
-    const stored = localStorage.getItem('waterIntake');
-    if (stored) {
-      const data = JSON.parse(stored);
-      // Check if data is for today
-      if (data.date === today) {
-        return data.intake || 0;
-      }
-    }
-    return 0;
+    await eventStoreReady;
+    await eventStore.add('waterEntries', { timestamp: Date.now(), amount });
   } catch (error) {
-    if (import.meta.env.DEV) {
-      console.error('Error reading water intake from localStorage:', error);
+    // Roll the total back so it keeps matching the log
+    storage.setItem('waterIntake', { date: new Date().toDateString(), intake: previousIntake });
+    handleEventStoreError(error, 'saving water entry');
+    if (!error || error.name !== 'QuotaExceededError') {
+      showErrorModal('Unable to save water intake. Please try again.');
     }
-    return 0;
+    return previousIntake;
   }
+  return newIntake;
 }
 
-// Add water intake for today
-function addWaterIntake(amount) {
+// Delete a logged water entry; entries from today also come off today's total
+async function deleteWaterEntry(entry) {
   try {
-    const today = new Date().toDateString();
-    const current = getTodayWaterIntake();
-    const newIntake = current + amount;
-    
-    localStorage.setItem('waterIntake', JSON.stringify({
-      date: today,
-      intake: newIntake
-    }));
-    return newIntake;
+    await eventStoreReady;
+    await eventStore.remove('waterEntries', entry.id);
   } catch (error) {
-    if (error.name === 'QuotaExceededError') {
-      showErrorModal('Storage is full. Please clear some data or use a different browser.');
-    } else if (import.meta.env.DEV) {
-      console.error('Error saving water intake to localStorage:', error);
-    }
-    return getTodayWaterIntake();
+    handleEventStoreError(error, 'deleting water entry');
+    return false;
   }
+  if (new Date(entry.timestamp).toDateString() === new Date().toDateString()) {
+    const intake = Math.max(0, getTodayWaterIntake() - entry.amount);
+    storage.setItem('waterIntake', { date: new Date().toDateString(), intake });
+  }
+  return true;
 }
 
-function setQuitDate(date) {
+// Get water entries logged between two dates from the event store (oldest first)
+async function getWaterEntries(from, to) {
   try {
-    if (!date || isNaN(date.getTime())) {
-      throw new Error('Invalid date');
-    }
-    // Validate date is not too old (more than 50 years ago)
-    const minDate = new Date();
-    minDate.setFullYear(minDate.getFullYear() - 50);
-    if (date < minDate) {
-      throw new Error('Date is too far in the past');
-    }
-    // Allow future dates for countdown mode (preparing to quit)
-    localStorage.setItem('quitDate', date.toISOString());
+    await eventStoreReady;
+    return await eventStore.getRange('waterEntries', 'timestamp', from, to);
   } catch (error) {
-    if (error.name === 'QuotaExceededError') {
-      showErrorModal('Storage is full. Please clear some data or use a different browser.');
-    } else {
-      showErrorModal('Unable to save quit date. ' + error.message);
+    handleEventStoreError(error, 'reading water entries');
+    return [];
+  }
+}
+
+// Get slip history from storage (oldest first)
+function getSlips() {
+  return storage.getItem('slips', []);
+}
+
+// Add a slip to the slip history
+function addSlip(slip) {
+  const slips = getSlips();
+  slips.push(slip);
+  slips.sort((a, b) => new Date(a.date) - new Date(b.date));
+  return storage.setItem('slips', slips);
+}
+
+// Get savings goals from storage
+function getSavingsGoals() {
+  return storage.getItem('savingsGoals', []);
+}
+
+// Save savings goals to storage
+function saveSavingsGoals(goals) {
+  return storage.setItem('savingsGoals', goals);
+}
+
+// Update a single savings goal by id
+function updateSavingsGoal(id, changes) {
+  return saveSavingsGoals(getSavingsGoals().map((goal) => (goal.id === id ? { ...goal, ...changes } : goal)));
+}
+
+// Money saved per day at current prices, across all products
+function getDailySavingsRate(products) {
+  return products.reduce((total, product) => total + (product.perDay / product.packSize) * product.costPerPack, 0);
+}
+
+// Work out progress for every savings goal. Goals bought during the current attempt are
+// paid from its savings, so they are deducted from the available balance.
+function calculateSavingsGoals(quitDate, moneySaved) {
+  const goals = getSavingsGoals();
+  const spent = goals
+    .filter((goal) => goal.purchasedAt && new Date(goal.purchasedAt) >= quitDate)
+    .reduce((total, goal) => total + goal.price, 0);
+  const available = Math.max(0, moneySaved - spent);
+  const dailyRate = getDailySavingsRate(getProducts());
+  const now = new Date();
+  // Savings only start growing once the quit date has passed
+  const savingsStart = quitDate > now ? quitDate : now;
+  
+  return {
+    available,
+    spent,
+    goals: goals.map((goal) => {
+      const affordable = available >= goal.price;
+      let affordableOn = null;
+      if (!goal.purchasedAt && !affordable && dailyRate > 0) {
+        const daysNeeded = (goal.price - available) / dailyRate;
+        affordableOn = new Date(savingsStart.getTime() + daysNeeded * 24 * 60 * 60 * 1000);
+      }
+      return {
+        ...goal,
+        affordable,
+        affordableOn,
+        progress: goal.price > 0 ? Math.min(100, (available / goal.price) * 100) : 100
+      };
+    })
+  };
+}
+
+// Count the units used in slips logged after the quit date (and up to endDate, if given),
+// by product type (e.g. { cigarettes: 3, 'vape-pods': 1 })
+function getSlippedUnits(quitDate, endDate = null) {
+  return getSlips().reduce((totals, slip) => {
+    const slipDate = new Date(slip.date);
+    if (isNaN(slipDate.getTime()) || slipDate <= quitDate || (endDate && slipDate > endDate)) {
+      return totals;
     }
+    totals[slip.product] = (totals[slip.product] || 0) + (parseInt(slip.count) || 0);
+    return totals;
+  }, {});
+}
+
+// Get craving log from storage (oldest first)
+function getCravings() {
+  return storage.getItem('cravings', []);
+}
+
+// Add an entry to the craving log
+function addCraving(craving) {
+  const cravings = getCravings();
+  cravings.push(craving);
+  return storage.setItem('cravings', cravings);
+}
+
+// Count cravings logged (and resisted) and cravings beaten with SOS since the quit date
+function getCravingSummary(quitDate) {
+  const cravings = getCravings().filter((craving) => new Date(craving.date) >= quitDate);
+  return {
+    total: cravings.length,
+    resisted: cravings.filter((craving) => craving.resisted).length,
+    beatenWithSos: getSosSessions().filter((session) => session.passed && new Date(session.date) >= quitDate).length
+  };
+}
+
+// Get craving-surf (SOS) sessions from storage (oldest first)
+function getSosSessions() {
+  return storage.getItem('sosSessions', []);
+}
+
+// Record the outcome of a craving-surf (SOS) session
+function addSosSession(session) {
+  const sessions = getSosSessions();
+  sessions.push(session);
+  return storage.setItem('sosSessions', sessions);
+}
+
+// Report event store errors the same way as storage errors
+function handleEventStoreError(error, action) {
+  if (import.meta.env.DEV) {
+    console.error(`Error ${action}:`, error);
+  }
+  if (error && error.name === 'QuotaExceededError') {
+    showErrorModal('Storage is full. Please clear some data or use a different browser.');
   }
 }
 
-// Calculate time elapsed (or countdown if date is in future)
-function calculateTimeElapsed(quitDate) {
+// Total logged water per local calendar day, keyed by toDateString()
+function getDailyWaterTotals(entries) {
+  const totals = {};
+  entries.forEach((entry) => {
+    const key = new Date(entry.timestamp).toDateString();
+    totals[key] = (totals[key] || 0) + entry.amount;
+  });
+  return totals;
+}
+
+// Summarize the water log: daily totals for the last `days` days plus goal-hit streaks.
+// Past days are measured against the current goal.
+async function calculateWaterHistory(days, goal) {
   const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dayBefore = (count) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - count);
+  
+  // Streaks only look back a bounded window, so a render never reads the whole log
+  const [chartEntries, streakEntries] = await Promise.all([
+    getWaterEntries(dayBefore(days - 1)),
+    getWaterEntries(dayBefore(WATER_STREAK_DAYS - 1))
+  ]);
+  const chartTotals = getDailyWaterTotals(chartEntries);
+  const totals = getDailyWaterTotals(streakEntries);
+  
+  const history = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = dayBefore(offset);
+    history.push({ date, total: chartTotals[date.toDateString()] || 0 });
+  }
+  
+  let longestStreak = 0;
+  let streak = 0;
+  let streakBeforeToday = 0;
+  for (let offset = WATER_STREAK_DAYS - 1; offset >= 0; offset--) {
+    const day = dayBefore(offset);
+    if (offset === 0) {
+      streakBeforeToday = streak;
+    }
+    streak = (totals[day.toDateString()] || 0) >= goal ? streak + 1 : 0;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+  
+  // Today only breaks the current streak once it is over
+  const todayMet = (totals[today.toDateString()] || 0) >= goal;
+  return { history, currentStreak: todayMet ? streak : streakBeforeToday, longestStreak };
+}
+
+// Settled once legacy data has been moved into the event store (see init)
+let eventStoreReady = Promise.resolve();
+
+// Move time-series data that older versions kept in localStorage into the event store.
+// Runs once on startup, after the storage migrations.
+async function moveLegacyEvents() {
+  if (!eventStore) {
+    throw new Error('Event store is not available');
+  }
+  
+  const legacyAttempts = storage.getItem('quitAttempts');
+  if (legacyAttempts) {
+    await eventStore.addAll('attempts', legacyAttempts.map(toAttemptRecord).filter(Boolean));
+    storage.removeItem('quitAttempts');
+  }
+  
+  const legacyWaterIntake = storage.getItem('waterIntakeBeforeLog');
+  if (legacyWaterIntake) {
+    await eventStore.addAll('waterEntries', waterIntakeEntries(legacyWaterIntake));
+    storage.removeItem('waterIntakeBeforeLog');
+  }
+}
+
+// Older versions only kept a daily water total, so it becomes a single entry for that day
+function waterIntakeEntries(waterIntake) {
+  if (!waterIntake || !(waterIntake.intake > 0)) return [];
+  const day = new Date(waterIntake.date);
+  return isNaN(day.getTime()) ? [] : [{ timestamp: day.getTime(), amount: waterIntake.intake }];
+}
+
+// Convert an attempt (ISO dates, as archived in older versions and in backups) to an
+// event store record (millisecond timestamps, so the date indexes compare numerically)
+function toAttemptRecord(attempt) {
+  const startDate = new Date(attempt.startDate).getTime();
+  const endDate = new Date(attempt.endDate).getTime();
+  if (isNaN(startDate) || isNaN(endDate)) return null;
+  const { id, ...rest } = attempt;
+  return { ...rest, startDate, endDate };
+}
+
+// Convert an event store record back to an attempt with ISO dates
+function fromAttemptRecord(record) {
+  const { id, ...rest } = record;
+  return { ...rest, startDate: new Date(record.startDate).toISOString(), endDate: new Date(record.endDate).toISOString() };
+}
+
+// Get archived quit attempts from the event store (oldest first)
+async function getQuitAttempts() {
+  try {
+    await eventStoreReady;
+    const records = await eventStore.getRange('attempts', 'startDate');
+    return records.map(fromAttemptRecord);
+  } catch (error) {
+    handleEventStoreError(error, 'reading quit attempts');
+    return [];
+  }
+}
+
+// Archive the current quit attempt before it is reset or restarted. The record is built
+// right away, so callers can clear the current attempt without waiting.
+async function archiveCurrentAttempt(endDate = new Date()) {
+  const quitDate = getQuitDate();
+  // Attempts still in countdown mode never started, so there is nothing to keep
+  if (!quitDate || quitDate >= endDate) return false;
+  
+  const record = toAttemptRecord({
+    startDate: quitDate,
+    endDate,
+    products: getProducts(),
+    priceHistory: getPriceHistory(),
+    slippedUnits: getSlippedUnits(quitDate, endDate)
+  });
+  try {
+    await eventStoreReady;
+    await eventStore.add('attempts', record);
+    return true;
+  } catch (error) {
+    handleEventStoreError(error, 'archiving quit attempt');
+    return false;
+  }
+}
+
+// Validate a quit date entered by the user; returns an error message or null
+function validateQuitDate(quitDate) {
+  if (!quitDate || isNaN(quitDate.getTime())) {
+    return 'Invalid date selected. Please choose a valid date.';
+  }
+  
+  // Allow future dates for countdown mode (preparing to quit)
+  
+  // Check if date is too old (more than 50 years ago)
+  const minDate = new Date();
+  minDate.setFullYear(minDate.getFullYear() - 50);
+  if (quitDate < minDate) {
+    return 'Quit date cannot be more than 50 years ago. Please select a more recent date.';
+  }
+  return null;
+}
+
+function setQuitDate(date) {
+  const error = validateQuitDate(date);
+  if (error) {
+    showErrorModal(error);
+    return false;
+  }
+  // Allow future dates for countdown mode (preparing to quit)
+  return storage.setItem('quitDate', date);
+}
+
+// Calculate time elapsed (or countdown if date is in future)
+function calculateTimeElapsed(quitDate, now = new Date()) {
   const diff = quitDate - now; // Positive if future, negative if past
   
   // If quit date is in the future, return countdown
@@ -620,66 +1396,367 @@ function calculateTimeElapsed(quitDate) {
   return { days, hours, minutes, seconds, totalMs: elapsedDiff, isCountdown: false };
 }
 
-// Calculate statistics
-function calculateStats(quitDate, cigarettesPerDay = DEFAULT_CIGARETTES_PER_DAY, costPerPack = DEFAULT_COST_PER_PACK) {
-  try {
-    // Get stored preferences if available
-    try {
-      const storedCigarettes = localStorage.getItem('cigarettesPerDay');
-      const storedCost = localStorage.getItem('costPerPack');
-      if (storedCigarettes) cigarettesPerDay = parseInt(storedCigarettes) || cigarettesPerDay;
-      if (storedCost) costPerPack = parseFloat(storedCost) || costPerPack;
-    } catch (e) {
-      // Use defaults if localStorage fails
+// Get the profile for a product type (unknown types fall back to cigarettes)
+function getProductProfile(type) {
+  return PRODUCT_PROFILES[type] || PRODUCT_PROFILES.cigarettes;
+}
+
+// Create a product with the profile defaults
+function createProduct(type) {
+  const profile = getProductProfile(type);
+  return {
+    type: PRODUCT_PROFILES[type] ? type : 'cigarettes',
+    perDay: profile.perDay,
+    packSize: profile.packSize,
+    costPerPack: profile.costPerPack
+  };
+}
+
+// Clean up a stored product list, filling in profile defaults for missing values
+function normalizeProducts(products) {
+  const normalized = (Array.isArray(products) ? products : [])
+    .filter((product) => product && PRODUCT_PROFILES[product.type])
+    .map((product) => {
+      const defaults = createProduct(product.type);
+      const perDay = parseFloat(product.perDay);
+      const packSize = parseFloat(product.packSize);
+      const costPerPack = parseFloat(product.costPerPack);
+      return {
+        type: product.type,
+        perDay: perDay > 0 ? perDay : defaults.perDay,
+        packSize: packSize > 0 ? packSize : defaults.packSize,
+        costPerPack: costPerPack >= 0 ? costPerPack : defaults.costPerPack
+      };
+    });
+  return normalized.length > 0 ? normalized : [createProduct('cigarettes')];
+}
+
+// Get the products being quit from storage (the first one is the primary product)
+function getProducts() {
+  return normalizeProducts(storage.getItem('products', []));
+}
+
+// Save the products being quit to storage. Price changes are added to the price
+// history from now on; a new attempt starts a fresh price history.
+function setProducts(products, { newAttempt = false } = {}) {
+  return storage.setItems(getProductValues(products, { newAttempt }));
+}
+
+// The stored values for a product list: the products and their updated price history
+function getProductValues(products, { newAttempt = false } = {}) {
+  const normalized = normalizeProducts(products);
+  const priceHistory = withPriceChanges(
+    newAttempt ? {} : getPriceHistory(),
+    newAttempt ? [] : getProducts(),
+    normalized,
+    new Date()
+  );
+  return { products: normalized, priceHistory };
+}
+
+// Get the dated price timeline of every product from storage:
+// { [type]: [{ from, costPerPack }] }, oldest first; the first entry has no start date.
+function getPriceHistory() {
+  return storage.getItem('priceHistory', {});
+}
+
+// Save the price timeline of every product to storage, keeping product costs in
+// sync with the price currently in effect
+function setPriceHistory(priceHistory) {
+  const now = Date.now();
+  const products = getProducts().map((product) => {
+    const current = getTimelineEntries(priceHistory[product.type])
+      .filter((entry) => !entry.from || new Date(entry.from).getTime() <= now)
+      .pop();
+    return current ? { ...product, costPerPack: current.costPerPack } : product;
+  });
+  const normalized = Object.fromEntries(
+    Object.entries(priceHistory).map(([type, timeline]) => [type, getTimelineEntries(timeline)])
+  );
+  return storage.setItems({ priceHistory: normalized, products });
+}
+
+// Clean up a stored price timeline (valid entries only, oldest first)
+function getTimelineEntries(timeline) {
+  return (Array.isArray(timeline) ? timeline : [])
+    .filter((entry) => entry && parseFloat(entry.costPerPack) >= 0 && (!entry.from || !isNaN(new Date(entry.from).getTime())))
+    .map((entry) => ({ from: entry.from || null, costPerPack: parseFloat(entry.costPerPack) }))
+    .sort((a, b) => (a.from ? new Date(a.from).getTime() : -Infinity) - (b.from ? new Date(b.from).getTime() : -Infinity));
+}
+
+// Return a copy of the price history with a dated entry for each product whose cost changed
+function withPriceChanges(priceHistory, previousProducts, products, date) {
+  const updated = { ...priceHistory };
+  products.forEach((product) => {
+    const timeline = getTimelineEntries(updated[product.type]);
+    if (timeline.length === 0) {
+      // Products saved before price history existed keep their old price for the past
+      const previous = previousProducts.find((item) => item.type === product.type);
+      timeline.push({ from: null, costPerPack: previous ? previous.costPerPack : product.costPerPack });
+    }
+    if (timeline[timeline.length - 1].costPerPack !== product.costPerPack) {
+      timeline.push({ from: date.toISOString(), costPerPack: product.costPerPack });
+    }
+    updated[product.type] = timeline;
+  });
+  return updated;
+}
+
+// Average cost per pack between two dates, weighted by how long each price was in effect
+function getAverageCostPerPack(timeline, fallbackCost, startDate, endDate) {
+  const entries = getTimelineEntries(timeline);
+  if (entries.length === 0) return fallbackCost;
+  
+  const start = startDate.getTime();
+  const end = endDate.getTime();
+  let weightedCost = 0;
+  let totalTime = 0;
+  entries.forEach((entry, index) => {
+    const periodStart = index === 0 || !entry.from ? -Infinity : new Date(entry.from).getTime();
+    const next = entries[index + 1];
+    const periodEnd = next ? new Date(next.from).getTime() : Infinity;
+    const overlap = Math.min(end, periodEnd) - Math.max(start, periodStart);
+    if (overlap > 0) {
+      weightedCost += overlap * entry.costPerPack;
+      totalTime += overlap;
+    }
+  });
+  
+  if (totalTime > 0) return weightedCost / totalTime;
+  // No time has passed yet, so use the price in effect at the start
+  const current = entries.filter((entry) => !entry.from || new Date(entry.from).getTime() <= start).pop();
+  return (current || entries[0]).costPerPack;
+}
+
+// Get the annual inflation percentage used for savings projections
+function getInflationRate() {
+  const rate = storage.getItem('inflationRate', 0);
+  return rate >= 0 && rate <= MAX_INFLATION_RATE ? rate : 0;
+}
+
+// Validate a yearly inflation percentage; returns an error message or null
+function validateInflationRate(rate) {
+  if (isNaN(rate) || rate < 0 || rate > MAX_INFLATION_RATE) {
+    return `Please enter a valid yearly inflation (0-${MAX_INFLATION_RATE}%).`;
+  }
+  return null;
+}
+
+// Set the annual inflation percentage (0 turns projections with inflation off)
+function setInflationRate(rate) {
+  if (validateInflationRate(rate)) {
+    return false;
+  }
+  return rate === 0 ? storage.removeItem('inflationRate') : storage.setItem('inflationRate', rate);
+}
+
+// Project future savings for each horizon, with prices rising by the inflation rate every year
+function calculateSavingsProjection(products, inflationRate) {
+  const yearlySavings = products.reduce(
+    (total, product) => total + (product.perDay * 365 / product.packSize) * product.costPerPack,
+    0
+  );
+  const growth = 1 + inflationRate / 100;
+  return PROJECTION_YEARS.map((years) => {
+    let amount = 0;
+    for (let year = 0; year < years; year++) {
+      amount += yearlySavings * Math.pow(growth, year);
+    }
+    return { years, amount };
+  });
+}
+
+// Render the savings projection shown under the stats
+function renderSavingsProjection(products) {
+  const inflationRate = getInflationRate();
+  const projection = calculateSavingsProjection(products, inflationRate);
+  return `
+    <div class="savings-projection">
+      <div class="savings-projection-title">Projected savings${inflationRate > 0 ? ` with ${inflationRate}% yearly inflation` : ''}</div>
+      <div class="savings-projection-items">
+        ${projection.map(({ years, amount }) => `
+          <div class="savings-projection-item">
+            <span class="savings-projection-value">${escapeHtml(formatMoney(amount))}</span>
+            <span class="savings-projection-label">${years === 1 ? 'Next year' : `Next ${years} years`}</span>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+// Validate a product list; returns an error message or null
+function validateProducts(products) {
+  if (products.length === 0) {
+    return 'Please add at least one product.';
+  }
+  const types = new Set();
+  for (const product of products) {
+    const profile = getProductProfile(product.type);
+    if (!PRODUCT_PROFILES[product.type]) {
+      return 'Please choose a valid product.';
     }
+    if (types.has(product.type)) {
+      return `${profile.label} can only be added once.`;
+    }
+    types.add(product.type);
     
+    const minPerDay = profile.step;
+    if (isNaN(product.perDay) || product.perDay < minPerDay || product.perDay > 200) {
+      return product.type === 'cigarettes'
+        ? 'Please enter a valid number of cigarettes per day (1-200).'
+        : `Please enter a valid amount of ${profile.unitPlural} per day (${minPerDay}-200).`;
+    }
+    if (isNaN(product.packSize) || product.packSize < 1 || product.packSize > 1000) {
+      return `Please enter a valid number of ${profile.unitPlural} per ${profile.packName} (1-1000).`;
+    }
+    if (isNaN(product.costPerPack) || product.costPerPack < 0 || product.costPerPack > 1000) {
+      return `Please enter a valid cost per ${profile.packName} (0-1000).`;
+    }
+  }
+  return null;
+}
+
+// Format an amount of a product for a stat card (e.g. "1,250" or "30 g")
+function formatProductAmount(type, amount) {
+  const profile = getProductProfile(type);
+  const value = amount.toLocaleString();
+  return profile.suffix ? `${value} ${profile.suffix}` : value;
+}
+
+// Format an amount of a product for a sentence (e.g. "1 cigarette" or "30 g of rolling tobacco")
+function formatProductUnits(type, amount) {
+  const profile = getProductProfile(type);
+  const value = amount.toLocaleString();
+  if (profile.suffix) {
+    return `${value} ${profile.suffix} of ${profile.label.toLowerCase()}`;
+  }
+  return `${value} ${amount === 1 ? profile.unit : profile.unitPlural}`;
+}
+
+// Describe everything avoided (e.g. "206 cigarettes and 12 pods")
+function formatAvoided(productStats) {
+  const parts = productStats.map((product) => formatProductUnits(product.type, product.unitsAvoided));
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+}
+
+// Calculate statistics for the current quit attempt
+function calculateStats(quitDate) {
+  return calculateAttemptStats(quitDate, new Date(), getProducts(), getSlippedUnits(quitDate), getPriceHistory());
+}
+
+// Calculate statistics for a quit attempt between quitDate and endDate. Slipped units
+// (by product type) come off the product they were used of. Money saved follows the
+// price history, so each period is valued at the price in effect at the time.
+function calculateAttemptStats(quitDate, endDate, products, slippedUnits = {}, priceHistory = {}) {
+  const emptyStats = () => ({
+    products: products.map((product) => ({
+      type: product.type,
+      unitsAvoided: 0,
+      packsAvoided: 0,
+      moneySaved: 0
+    })),
+    cigarettesAvoided: 0,
+    cigarettesSmoked: 0,
+    packsAvoided: 0,
+    moneySaved: '0.00',
+    daysQuit: 0
+  });
+  
+  try {
     // Use UTC to avoid timezone issues
-    const now = new Date();
-    const nowUTC = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds());
+    const nowUTC = Date.UTC(endDate.getFullYear(), endDate.getMonth(), endDate.getDate(), endDate.getHours(), endDate.getMinutes(), endDate.getSeconds());
     const quitUTC = Date.UTC(quitDate.getFullYear(), quitDate.getMonth(), quitDate.getDate(), quitDate.getHours(), quitDate.getMinutes(), quitDate.getSeconds());
     const diff = nowUTC - quitUTC;
     const days = diff / (1000 * 60 * 60 * 24);
     
     // Only show positive values if time has passed
     if (diff <= 0 || days < 0 || isNaN(days)) {
-      return {
-        cigarettesAvoided: 0,
-        packsAvoided: 0,
-        moneySaved: '0.00',
-        daysQuit: 0
-      };
+      return emptyStats();
     }
     
     // Prevent overflow for very large numbers
     const maxDays = 36500; // ~100 years
     const safeDays = Math.min(days, maxDays);
     
-    const cigarettesAvoided = Math.floor(safeDays * cigarettesPerDay);
-    const packsAvoided = Math.floor(cigarettesAvoided / CIGARETTES_PER_PACK);
-    const moneySaved = Math.min(packsAvoided * costPerPack, 999999999.99).toFixed(2);
+    const productStats = products.map((product) => {
+      // Slipped units were used, so they are neither avoided nor saved
+      const smoked = slippedUnits[product.type] || 0;
+      const unitsAvoided = Math.max(0, Math.floor(safeDays * product.perDay) - smoked);
+      const packsAvoided = Math.floor(unitsAvoided / product.packSize);
+      const costPerPack = getAverageCostPerPack(priceHistory[product.type], product.costPerPack, quitDate, endDate);
+      return {
+        type: product.type,
+        unitsAvoided,
+        packsAvoided,
+        moneySaved: packsAvoided * costPerPack
+      };
+    });
+    
+    const sum = (key) => productStats.reduce((total, product) => total + product[key], 0);
     
     return {
-      cigarettesAvoided,
-      packsAvoided,
-      moneySaved,
+      products: productStats,
+      cigarettesAvoided: productStats
+        .filter((product) => product.type === 'cigarettes')
+        .reduce((total, product) => total + product.unitsAvoided, 0),
+      cigarettesSmoked: slippedUnits.cigarettes || 0,
+      packsAvoided: sum('packsAvoided'),
+      moneySaved: Math.min(sum('moneySaved'), 999999999.99).toFixed(2),
       daysQuit: Math.floor(safeDays)
     };
   } catch (error) {
     if (import.meta.env.DEV) {
       console.error('Error calculating stats:', error);
     }
-    return {
-      cigarettesAvoided: 0,
-      packsAvoided: 0,
-      moneySaved: '0.00',
-      daysQuit: 0
-    };
+    return emptyStats();
   }
 }
 
-// Calculate health regeneration progress
-function calculateHealthRegeneration(quitDate) {
+// Summarize every quit attempt (archived ones plus the current one) for the history view
+async function getQuitHistory() {
+  const summarize = (startDate, endDate, products, slippedUnits, priceHistory, isCurrent) => ({
+    startDate,
+    endDate,
+    isCurrent,
+    timeElapsed: calculateTimeElapsed(startDate, endDate),
+    stats: calculateAttemptStats(startDate, endDate, products, slippedUnits, priceHistory)
+  });
+  
+  const attempts = (await getQuitAttempts())
+    .map((attempt) => ({
+      ...attempt,
+      startDate: new Date(attempt.startDate),
+      endDate: new Date(attempt.endDate)
+    }))
+    .filter((attempt) => !isNaN(attempt.startDate.getTime()) && !isNaN(attempt.endDate.getTime()))
+    .map((attempt) => summarize(
+      attempt.startDate,
+      attempt.endDate,
+      normalizeProducts(attempt.products),
+      attempt.slippedUnits || {},
+      attempt.priceHistory || {},
+      false
+    ));
+  
+  const quitDate = getQuitDate();
   const now = new Date();
+  if (quitDate && quitDate < now) {
+    attempts.push(summarize(quitDate, now, getProducts(), getSlippedUnits(quitDate), getPriceHistory(), true));
+  }
+  
+  const longestStreakMs = attempts.reduce((longest, attempt) => Math.max(longest, attempt.timeElapsed.totalMs), 0);
+  const totalMs = attempts.reduce((total, attempt) => total + attempt.timeElapsed.totalMs, 0);
+  
+  return {
+    attempts,
+    longestStreak: calculateTimeElapsed(new Date(0), new Date(longestStreakMs)),
+    totalSmokeFreeDays: Math.floor(totalMs / (1000 * 60 * 60 * 24))
+  };
+}
+
+// Calculate health regeneration progress
+function calculateHealthRegeneration(quitDate, now = new Date()) {
   // Use UTC to avoid timezone issues
   const nowUTC = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds());
   const quitUTC = Date.UTC(quitDate.getFullYear(), quitDate.getMonth(), quitDate.getDate(), quitDate.getHours(), quitDate.getMinutes(), quitDate.getSeconds());
@@ -862,6 +1939,7 @@ function calculateHealthBenefits(quitDate) {
       name: benefit.name,
       progress: 0,
       timeframe: benefit.timeframe,
+      targetDays: benefit.targetDays,
       details: benefit.details,
       category: benefit.category
     }));
@@ -883,99 +1961,485 @@ function calculateHealthBenefits(quitDate) {
     name: benefit.name,
     progress: benefit.progress,
     timeframe: benefit.timeframe,
+    targetDays: benefit.targetDays,
     details: benefit.details,
     category: benefit.category
   }));
 }
 
-// Render the tracker
-function renderTracker() {
-  // Clear any existing timer before re-rendering
-  if (timerInterval) {
-    clearInterval(timerInterval);
-    timerInterval = null;
-  }
+// URL-safe id of a health benefit, used by #/benefits/:id (e.g. "circulation-improves")
+function getBenefitId(benefit) {
+  return benefit.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Tracker components. Each one builds its element once, keeps references to the nodes it
+// changes and updates them in place with update(); destroy() removes its listeners.
+// renderTracker mounts them in place of their data-component placeholders.
+
+// How often health progress is recalculated (it changes slowly)
+const HEALTH_UPDATE_INTERVAL = 5000;
+
+// Replace the data-component placeholders in a view with the components' elements
+function mountComponents(root, components) {
+  Object.entries(components).forEach(([name, component]) => {
+    const placeholder = root.querySelector(`[data-component="${name}"]`);
+    if (placeholder) {
+      placeholder.replaceWith(component.element);
+    }
+  });
+}
+
+// Timer: days, hours, minutes and seconds since (or until) the quit date
+function createTimer(timeElapsed) {
+  const element = document.createElement('div');
+  element.className = 'time-display';
+  const units = [
+    { key: 'days', label: timeElapsed.isCountdown ? 'Days Until' : 'Days' },
+    { key: 'hours', label: 'Hours' },
+    { key: 'minutes', label: 'Minutes' },
+    { key: 'seconds', label: 'Seconds' }
+  ];
+  element.innerHTML = units.map((unit) => `
+    <div class="time-unit">
+      <div class="time-value" id="${unit.key}"></div>
+      <div class="time-label">${unit.label}</div>
+    </div>
+  `).join('');
+  const valueEls = element.querySelectorAll('.time-value');
   
-  // Clear tip rotation interval
-  if (tipInterval) {
-    clearInterval(tipInterval);
-    tipInterval = null;
+  function update(elapsed) {
+    const values = [elapsed.days, ...[elapsed.hours, elapsed.minutes, elapsed.seconds].map((value) => String(value).padStart(2, '0'))];
+    values.forEach((value, index) => {
+      const text = String(value);
+      if (valueEls[index].textContent !== text) {
+        valueEls[index].textContent = text;
+      }
+    });
   }
   
-  const quitDate = getQuitDate();
-  
-  if (!quitDate) {
-    // Show setup form
-document.querySelector('#app').innerHTML = `
-      <div class="home-container">
-        <h1 class="main-title">Quit Now</h1>
-        <div class="setup-form">
-          <h2>When did you quit smoking?</h2>
-          <div class="form-group">
-            <label for="nickname">Nickname:</label>
-            <input type="text" id="nickname" placeholder="Your name" maxlength="20">
+  update(timeElapsed);
+  return { element, update, destroy() {} };
+}
+
+// Health bar: overall regeneration and the next milestone
+function createHealthBar(quitDate, isCountdown) {
+  const element = document.createElement('div');
+  element.className = 'health-regeneration-section';
+  element.innerHTML = `
+    <div class="next-regeneration">
+      ${isCountdown ? `
+        <div class="next-regeneration-label">Preparing to Quit</div>
+        <div class="next-regeneration-name" style="color: #FF6B35;">Your health journey will begin when you quit!</div>
+      ` : `
+        <div class="next-regeneration-label"></div>
+        <div class="next-regeneration-name"></div>
+        <div class="next-regeneration-time" id="nextRegenerationTime"></div>
+      `}
     </div>
-          <div class="form-group">
-            <label for="quitDate">Quit Date:</label>
-            <input type="datetime-local" id="quitDate" required>
-            <small class="form-hint">Format: dd-mm-yyyy --:-- (Future dates will show countdown)</small>
-  </div>
-          <div class="form-group">
-            <label for="cigarettesPerDay">Cigarettes per day:</label>
-            <input type="number" id="cigarettesPerDay" value="${DEFAULT_CIGARETTES_PER_DAY}" min="1" required>
-          </div>
-          <div class="form-group">
-            <label for="costPerPack">Cost per pack ($):</label>
-            <input type="number" id="costPerPack" value="${DEFAULT_COST_PER_PACK}" min="0" step="0.01" required>
-          </div>
-          <button class="btn-primary" id="startTrackingBtn" aria-label="Start tracking your quit smoking progress">Start Tracking</button>
-        </div>
-      </div>
-    `;
+    <div class="health-header">
+      <div class="health-label">Health</div>
+      <div class="health-percentage" id="healthPercentage">0%</div>
+    </div>
+    <div class="health-progress-bar">
+      <div class="health-progress-fill" id="healthProgressFill" style="width: 0%"></div>
+    </div>
+  `;
+  const labelEl = element.querySelector('.next-regeneration-label');
+  const nameEl = element.querySelector('.next-regeneration-name');
+  const timeEl = element.querySelector('.next-regeneration-time');
+  const percentageEl = element.querySelector('.health-percentage');
+  const fillEl = element.querySelector('.health-progress-fill');
+  let lastUpdate = 0;
+  let renderedQuitTime = null;
+  
+  function update(date, now = new Date()) {
+    // Recalculate every few seconds, or straight away when the quit date changed
+    if (isCountdown || (date.getTime() === renderedQuitTime && now.getTime() - lastUpdate < HEALTH_UPDATE_INTERVAL)) return;
+    lastUpdate = now.getTime();
+    renderedQuitTime = date.getTime();
     
-    // Attach event listener to start tracking button
-    const startBtn = document.getElementById('startTrackingBtn');
-    if (startBtn) {
-      startBtn.addEventListener('click', startTracking);
+    const health = calculateHealthRegeneration(date, now);
+    percentageEl.textContent = `${health.percentage}%`;
+    fillEl.style.width = `${health.percentage}%`;
+    if (health.nextMilestone) {
+      labelEl.textContent = 'Next Regeneration:';
+      nameEl.textContent = health.nextMilestone.name;
+      timeEl.textContent = `At ${formatDisplayDate(new Date(now.getTime() + health.timeToNext))}`;
+    } else {
+      labelEl.textContent = 'All Milestones Achieved!';
+      nameEl.textContent = '';
+      timeEl.textContent = '';
     }
-  } else {
-    // Show tracker
-    const nickname = getNickname();
-    const timeElapsed = calculateTimeElapsed(quitDate);
-    const stats = calculateStats(quitDate);
-    const health = calculateHealthRegeneration(quitDate);
-    const healthBenefits = calculateHealthBenefits(quitDate);
+  }
+  
+  update(quitDate);
+  return { element, update, destroy() {} };
+}
+
+// Stats grid: amount avoided per product, money saved and days quit
+function createStatsGrid(quitDate) {
+  const element = document.createElement('div');
+  element.className = 'stats-grid';
+  const products = getProducts();
+  element.innerHTML = `
+    ${products.map((product, index) => `
+      <div class="stat-card">
+        <div class="stat-value" id="productAvoided${index}"></div>
+        <div class="stat-label">${escapeHtml(getProductProfile(product.type).avoidedLabel)}</div>
+      </div>
+    `).join('')}
+    <div class="stat-card">
+      <div class="stat-value" id="moneySaved"></div>
+      <div class="stat-label">Money Saved</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value" id="daysQuit"></div>
+      <div class="stat-label">Days Quit</div>
+    </div>
+  `;
+  const avoidedEls = products.map((product, index) => element.querySelector(`#productAvoided${index}`));
+  const moneyEl = element.querySelector('#moneySaved');
+  const daysQuitEl = element.querySelector('#daysQuit');
+  const setText = (el, text) => {
+    if (el && el.textContent !== text) {
+      el.textContent = text;
+    }
+  };
+  
+  // Returns the stats shown, for the parts of the view that depend on them
+  function update(date) {
+    const stats = calculateStats(date);
+    stats.products.forEach((product, index) => {
+      setText(avoidedEls[index], formatProductAmount(product.type, product.unitsAvoided));
+    });
+    setText(moneyEl, formatMoney(stats.moneySaved));
+    setText(daysQuitEl, String(stats.daysQuit));
+    return stats;
+  }
+  
+  update(quitDate);
+  return { element, update, destroy() {} };
+}
+
+// History range shown on the water card (kept when the tracker re-renders)
+let waterHistoryDays = WATER_HISTORY_RANGES[0];
+
+// Water card: today's intake against the goal, quick-add buttons, the entry log with
+// undo and delete, and the history chart
+function createWaterCard() {
+  const element = document.createElement('div');
+  element.className = 'water-intake-section';
+  element.tabIndex = -1;
+  element.innerHTML = `
+    <div class="water-intake-header">
+      <div style="flex: 1; text-align: center;">
+        <h3 class="water-intake-title">Water Intake</h3>
+        <p class="water-intake-subtitle">Flush the toxins out</p>
+      </div>
+      <button class="water-goal-edit-btn" id="waterGoalEditBtn" aria-label="Edit water goal" title="Edit goal">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+          <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+        </svg>
+      </button>
+    </div>
+    <div class="water-intake-card">
+      <div class="water-intake-main">
+        <div class="water-intake-info">
+          <div class="water-intake-amount" id="waterIntakeAmount"></div>
+          <div class="water-intake-goal" id="waterIntakeGoal"></div>
+        </div>
+        <div class="water-intake-progress-bar">
+          <div class="water-intake-progress-fill" id="waterIntakeProgressFill" style="width: 0%"></div>
+        </div>
+        <div class="water-intake-buttons">
+          ${WATER_UNITS[getWaterUnit()].quickAmounts.map((amount) => {
+            const ml = fromWaterUnit(amount);
+            return `<button class="water-add-btn" id="waterAdd${ml}" data-amount="${ml}" aria-label="Add ${escapeHtml(formatWaterAmount(ml))}">+${escapeHtml(formatWaterAmount(ml))}</button>`;
+          }).join('')}
+          <button class="water-add-btn" id="waterAddCustom" type="button" aria-label="Add a custom amount">Custom</button>
+        </div>
+        <button class="water-undo-btn" id="waterUndoBtn" type="button" hidden></button>
+      </div>
+      <ul class="water-log" id="waterLog" aria-label="Today's water entries"></ul>
+    </div>
+    <div class="water-history" id="waterHistory"></div>
+  `;
+  const amountEl = element.querySelector('#waterIntakeAmount');
+  const goalEl = element.querySelector('#waterIntakeGoal');
+  const progressFillEl = element.querySelector('#waterIntakeProgressFill');
+  const logEl = element.querySelector('#waterLog');
+  const undoBtn = element.querySelector('#waterUndoBtn');
+  const historyEl = element.querySelector('#waterHistory');
+  // Today's entries as last rendered, for the undo and delete buttons
+  let entries = [];
+  // Only the latest log request renders, so slow reads can't overwrite newer ones
+  let logRequest = 0;
+  let destroyed = false;
+  
+  // Render today's entries, the undo button and the history chart
+  async function updateLog() {
+    const request = ++logRequest;
+    const now = new Date();
+    const [todayEntries, waterHistory] = await Promise.all([
+      getWaterEntries(new Date(now.getFullYear(), now.getMonth(), now.getDate()), now),
+      calculateWaterHistory(waterHistoryDays, getWaterGoal())
+    ]);
+    if (destroyed || request !== logRequest) return;
+    entries = todayEntries;
     
-    // Format date with error handling (Dec, 24, 2025 01:02 PM)
-    let quitDateStr;
-    try {
-      const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-      const day = quitDate.getDate();
-      const month = monthNames[quitDate.getMonth()];
-      const year = quitDate.getFullYear();
-      let hours = quitDate.getHours();
-      const minutes = String(quitDate.getMinutes()).padStart(2, '0');
-      const ampm = hours >= 12 ? 'PM' : 'AM';
-      hours = hours % 12;
-      hours = hours ? hours : 12; // the hour '0' should be '12'
-      const hoursStr = String(hours).padStart(2, '0');
-      quitDateStr = `${month}, ${day}, ${year} ${hoursStr}:${minutes} ${ampm}`;
-    } catch (error) {
-      // Fallback if date formatting fails
-      quitDateStr = quitDate.toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
+    logEl.innerHTML = entries.slice().reverse().map((entry) => `
+      <li class="water-log-item">
+        <span class="water-log-time">${escapeHtml(new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }))}</span>
+        <span class="water-log-amount">+${escapeHtml(formatWaterAmount(entry.amount))}</span>
+        <button class="water-log-delete" type="button" data-water-entry="${entry.id}" aria-label="Delete ${escapeHtml(formatWaterAmount(entry.amount))} entry" title="Delete">&times;</button>
+      </li>
+    `).join('');
+    
+    const lastEntry = entries[entries.length - 1];
+    undoBtn.hidden = !lastEntry;
+    undoBtn.textContent = lastEntry ? `Undo +${formatWaterAmount(lastEntry.amount)}` : '';
+    
+    historyEl.innerHTML = renderWaterHistory(waterHistory, getWaterGoal());
+  }
+  
+  // Refresh the intake and progress bar, then the log
+  function update() {
+    const intake = getTodayWaterIntake();
+    const goal = getWaterGoal();
+    amountEl.textContent = formatWaterTotal(intake);
+    goalEl.textContent = `/ ${formatWaterTotal(goal)}`;
+    progressFillEl.style.width = `${goal > 0 ? Math.min(100, (intake / goal) * 100) : 0}%`;
+    updateLog();
+  }
+  
+  // Quick adds, custom amounts, undo, entry deletion, range changes and the goal editor
+  async function handleClick(e) {
+    const addBtn = e.target.closest('[data-amount]');
+    if (addBtn) {
+      const amountStr = addBtn.getAttribute('data-amount');
+      const amount = parseInt(amountStr);
+      if (isNaN(amount) || amount <= 0) {
+        if (import.meta.env.DEV) {
+          console.error('Invalid water amount:', amountStr);
+        }
+        return;
+      }
+      logWater(amount);
+      return;
+    }
+    if (e.target.closest('#waterAddCustom')) {
+      showCustomWaterModal();
+      return;
+    }
+    if (e.target.closest('#waterGoalEditBtn')) {
+      editWaterGoal();
+      return;
+    }
+    
+    const rangeBtn = e.target.closest('[data-water-range]');
+    if (rangeBtn) {
+      waterHistoryDays = parseInt(rangeBtn.getAttribute('data-water-range')) || WATER_HISTORY_RANGES[0];
+      updateLog();
+      return;
+    }
+    
+    let entry = null;
+    if (e.target.closest('#waterUndoBtn')) {
+      entry = entries[entries.length - 1];
+    } else {
+      const deleteBtn = e.target.closest('[data-water-entry]');
+      if (!deleteBtn) return;
+      const id = parseInt(deleteBtn.getAttribute('data-water-entry'));
+      entry = entries.find((item) => item.id === id);
+    }
+    if (!entry) return;
+    
+    if (await deleteWaterEntry(entry)) {
+      updateWaterCard();
+    } else {
+      showErrorModal('Unable to delete this entry. Please try again.');
+    }
+  }
+  
+  element.addEventListener('click', handleClick);
+  update();
+  return {
+    element,
+    update,
+    destroy() {
+      destroyed = true;
+      element.removeEventListener('click', handleClick);
+    }
+  };
+}
+
+// Benefit list: a card per health benefit with its progress; a card opens to show details
+function createBenefitList(quitDate) {
+  const element = document.createElement('div');
+  element.className = 'health-benefits-section';
+  const benefits = calculateHealthBenefits(quitDate);
+  element.innerHTML = `
+    <h3 class="benefits-title">Health Benefits</h3>
+    <div class="benefits-grid">
+      ${benefits.map((benefit, index) => `
+        <div class="benefit-card" data-benefit-index="${index}" role="button" tabindex="0" aria-expanded="false" aria-label="${escapeHtml(benefit.name)} - ${escapeHtml(benefit.timeframe)}">
+          <div class="benefit-main">
+            <div class="benefit-header">
+              <div class="benefit-name">${escapeHtml(benefit.name)}</div>
+              <div class="benefit-percentage" id="benefitPercentage${index}"></div>
+            </div>
+            <div class="benefit-timeframe">${escapeHtml(benefit.timeframe)}</div>
+            <div class="benefit-progress-bar">
+              <div class="benefit-progress-fill" id="benefitProgressFill${index}" style="width: 0%"></div>
+            </div>
+          </div>
+          <div class="benefit-details" id="benefitDetails${index}">
+            <div class="benefit-details-content">${escapeHtml(benefit.details)}</div>
+            <a class="benefit-details-link" href="#/benefits/${getBenefitId(benefit)}">More about this benefit</a>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+  const cards = [...element.querySelectorAll('.benefit-card')].map((card) => ({
+    percentageEl: card.querySelector('.benefit-percentage'),
+    fillEl: card.querySelector('.benefit-progress-fill')
+  }));
+  let lastUpdate = 0;
+  let renderedQuitTime = null;
+  
+  // The list is sorted by target time, which doesn't depend on the quit date, so only
+  // the progress changes
+  function update(date, now = new Date()) {
+    if (date.getTime() === renderedQuitTime && now.getTime() - lastUpdate < HEALTH_UPDATE_INTERVAL) return;
+    lastUpdate = now.getTime();
+    renderedQuitTime = date.getTime();
+    
+    calculateHealthBenefits(date).forEach((benefit, index) => {
+      const progress = `${benefit.progress}%`;
+      if (cards[index].percentageEl.textContent !== progress) {
+        cards[index].percentageEl.textContent = progress;
+        cards[index].fillEl.style.width = progress;
+      }
+    });
+  }
+  
+  // Toggle a card, except when the details link was used (it opens the benefit's view)
+  function handleToggle(e) {
+    const card = e.target.closest('.benefit-card');
+    if (!card || e.target.closest('a')) return;
+    if (e.type === 'keydown') {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+    }
+    toggleBenefitDetails(parseInt(card.getAttribute('data-benefit-index')));
+  }
+  
+  element.addEventListener('click', handleToggle);
+  element.addEventListener('keydown', handleToggle);
+  update(quitDate);
+  return {
+    element,
+    update,
+    destroy() {
+      element.removeEventListener('click', handleToggle);
+      element.removeEventListener('keydown', handleToggle);
+    }
+  };
+}
+
+// The tracker view while it is shown: its components, whether it was rendered as a
+// countdown and the money saved last shown (null on other views)
+let trackerView = null;
+
+// Clean up the tracker's components when it is re-rendered or another view opens
+function destroyTrackerView() {
+  if (!trackerView) return;
+  Object.values(trackerView.components).forEach((component) => component.destroy());
+  trackerView = null;
+}
+
+// Refresh the water card if the tracker is showing
+function updateWaterCard() {
+  if (trackerView) {
+    trackerView.components.water.update();
+  }
+}
+
+// Render the tracker
+function renderTracker() {
+  // Clear the timers and components of the previous render
+  stopTrackerTimers();
+  
+  const quitDate = getQuitDate();
+  
+  if (!quitDate) {
+    updateAppBadge(0);
+    // Show setup form
+document.querySelector('#app').innerHTML = `
+      <div class="home-container">
+        <h1 class="main-title">Quit Now</h1>
+        <div class="setup-form">
+          <h2>When did you quit?</h2>
+          <div class="form-group">
+            <label for="nickname">Nickname:</label>
+            <input type="text" id="nickname" placeholder="Your name" maxlength="20">
+    </div>
+          <div class="form-group">
+            <label for="quitDate">Quit Date:</label>
+            <input type="datetime-local" id="quitDate" required>
+            <small class="form-hint">Format: dd-mm-yyyy --:-- (Future dates will show countdown)</small>
+  </div>
+          <div class="form-group">
+            <label for="currency">Currency:</label>
+            <select id="currency">${renderCurrencyOptions(getCurrency())}</select>
+          </div>
+          <div class="product-rows" id="productRows">${renderProductRow(createProduct('cigarettes'))}</div>
+          <button class="btn-secondary product-add-btn" id="addProductBtn" type="button">+ Add another product</button>
+          <button class="btn-primary" id="startTrackingBtn" aria-label="Start tracking your quit smoking progress">Start Tracking</button>
+          <button class="btn-secondary history-link-btn" id="viewHistoryBtn" type="button" aria-label="View quit history" hidden>View quit history</button>
+          <button class="btn-secondary history-link-btn" id="importBackupBtn" type="button" aria-label="Restore from a backup file">Restore from backup</button>
+        </div>
+      </div>
+    `;
+    
+    attachProductRowHandlers(document.getElementById('productRows'), document.getElementById('addProductBtn'));
+    
+    // Attach event listener to start tracking button
+    const startBtn = document.getElementById('startTrackingBtn');
+    if (startBtn) {
+      startBtn.addEventListener('click', startTracking);
+    }
+    
+    const viewHistoryBtn = document.getElementById('viewHistoryBtn');
+    if (viewHistoryBtn) {
+      viewHistoryBtn.addEventListener('click', () => navigate('/history'));
+      // Only offer the history once there is an archived attempt to show
+      getQuitAttempts().then((attempts) => {
+        viewHistoryBtn.hidden = attempts.length === 0;
       });
     }
+    
+    const importBackupBtn = document.getElementById('importBackupBtn');
+    if (importBackupBtn) {
+      importBackupBtn.addEventListener('click', importBackup);
+    }
+  } else {
+    // Show tracker
+    const nickname = getNickname();
+    const timeElapsed = calculateTimeElapsed(quitDate);
+    const stats = calculateStats(quitDate);
+    
+    // Format date (Dec, 24, 2025 01:02 PM)
+    const quitDateStr = formatDisplayDate(quitDate);
 
 // Escape HTML to prevent XSS
 const safeNickname = nickname ? escapeHtml(nickname) : '';
 const safeQuitDateStr = escapeHtml(quitDateStr);
 
-document.querySelector('#app').innerHTML = `
+const appEl = document.querySelector('#app');
+appEl.innerHTML = `
       <div class="home-container">
         <h1 class="main-title" id="mainTitle">${safeNickname ? `Hey ${safeNickname}!` : 'Quit Now'}</h1>
         <p class="rotating-tip" id="rotatingTip">${escapeHtml(MOTIVATIONAL_TIPS[0])}</p>
@@ -983,7 +2447,7 @@ document.querySelector('#app').innerHTML = `
           <p class="since-label">${timeElapsed.isCountdown ? 'Quit Date' : 'Since'}</p>
           <div class="quit-date-container">
             <p class="quit-date">${safeQuitDateStr}</p>
-                <button class="edit-icon" id="resetBtn" aria-label="Reset tracker" title="Reset tracker">
+                <button class="edit-icon" id="settingsBtn" aria-label="Edit settings" title="Edit settings">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
@@ -992,298 +2456,2290 @@ document.querySelector('#app').innerHTML = `
           </div>
         </div>
         
-        <div class="time-display">
-          <div class="time-unit">
-            <div class="time-value" id="days">${timeElapsed.days}</div>
-            <div class="time-label">${timeElapsed.isCountdown ? 'Days Until' : 'Days'}</div>
-          </div>
-          <div class="time-unit">
-            <div class="time-value" id="hours">${String(timeElapsed.hours).padStart(2, '0')}</div>
-            <div class="time-label">Hours</div>
-          </div>
-          <div class="time-unit">
-            <div class="time-value" id="minutes">${String(timeElapsed.minutes).padStart(2, '0')}</div>
-            <div class="time-label">Minutes</div>
-          </div>
-          <div class="time-unit">
-            <div class="time-value" id="seconds">${String(timeElapsed.seconds).padStart(2, '0')}</div>
-            <div class="time-label">Seconds</div>
-          </div>
-        </div>
+        <div data-component="timer"></div>
         
-        <div class="health-regeneration-section">
-          ${timeElapsed.isCountdown ? `
-            <div class="next-regeneration">
-              <div class="next-regeneration-label">Preparing to Quit</div>
-              <div class="next-regeneration-name" style="color: #FF6B35;">Your health journey will begin when you quit!</div>
-            </div>
-          ` : health.nextMilestone ? `
-            <div class="next-regeneration">
-              <div class="next-regeneration-label">Next Regeneration:</div>
-              <div class="next-regeneration-name">${escapeHtml(health.nextMilestone.name)}</div>
-              <div class="next-regeneration-time" id="nextRegenerationTime">At ...</div>
-            </div>
-          ` : `
-            <div class="next-regeneration">
-              <div class="next-regeneration-label">All Milestones Achieved!</div>
+        <div data-component="healthBar"></div>
+        
+        <div data-component="stats"></div>
+        
+        ${renderSavingsProjection(getProducts())}
+        
+        <div class="savings-goals-section" id="savingsGoals">${renderSavingsGoals(quitDate, parseFloat(stats.moneySaved))}</div>
+        
+        <div class="slip-section">
+          ${timeElapsed.isCountdown ? '' : `
+            <div class="craving-actions">
+              <button class="btn-primary craving-btn" id="logCravingBtn" type="button" aria-label="Log a craving">I'm having a craving</button>
+              <button class="btn-primary sos-btn" id="sosBtn" type="button" aria-label="Start a guided craving-surf session">SOS</button>
             </div>
+            <p class="craving-summary" id="cravingSummary">${renderCravingSummary(quitDate)}</p>
           `}
-          <div class="health-header">
-            <div class="health-label">Health</div>
-            <div class="health-percentage" id="healthPercentage">${health.percentage}%</div>
-          </div>
-          <div class="health-progress-bar">
-            <div class="health-progress-fill" id="healthProgressFill" style="width: ${health.percentage}%"></div>
+          <div class="tracker-actions">
+            ${timeElapsed.isCountdown ? '' : `
+              <button class="btn-secondary slip-log-btn" id="logSlipBtn" type="button" aria-label="Log a slip">Log a slip</button>
+            `}
+            <button class="btn-secondary slip-log-btn" id="viewHistoryBtn" type="button" aria-label="View quit history">Quit history</button>
           </div>
+          <div id="slipHistory">${timeElapsed.isCountdown ? '' : renderSlipHistory()}</div>
         </div>
         
-        <div class="stats-grid">
-          <div class="stat-card">
-            <div class="stat-value" id="cigarettesAvoided">${stats.cigarettesAvoided.toLocaleString()}</div>
-            <div class="stat-label">Cigarettes Avoided</div>
+        <div data-component="water"></div>
+        
+        <div data-component="benefits"></div>
+        
+        <div class="footer-section">
+          <div class="footer-content">
+            <p class="footer-thankyou">Thank you for choosing to quit smoking.</p>
+            <p class="footer-supported">Supported by WHO and health organizations worldwide.</p>
+            <p class="footer-note">Based on scientific research. Consult your healthcare provider for personalized advice.</p>
           </div>
-          <div class="stat-card">
-            <div class="stat-value" id="moneySaved">$${stats.moneySaved}</div>
-            <div class="stat-label">Money Saved</div>
+    </div>
+  </div>
+    `;
+    
+    trackerView = {
+      isCountdown: timeElapsed.isCountdown,
+      moneySaved: stats.moneySaved,
+      components: {
+        timer: createTimer(timeElapsed),
+        healthBar: createHealthBar(quitDate, timeElapsed.isCountdown),
+        stats: createStatsGrid(quitDate),
+        water: createWaterCard(),
+        benefits: createBenefitList(quitDate)
+      }
+    };
+    mountComponents(appEl, trackerView.components);
+    
+    // Start updating timer
+    startTimer();
+    
+    // Start rotating tips
+    startTipRotation();
+    
+    // Attach event listeners (replacing onclick handlers)
+    const settingsBtn = document.getElementById('settingsBtn');
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => navigate('/settings'));
+      settingsBtn.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          navigate('/settings');
+        }
+      });
+    }
+    
+    // Attach event listener to craving button
+    const logCravingBtn = document.getElementById('logCravingBtn');
+    if (logCravingBtn) {
+      logCravingBtn.addEventListener('click', showCravingModal);
+    }
+    
+    const sosBtn = document.getElementById('sosBtn');
+    if (sosBtn) {
+      sosBtn.addEventListener('click', showSosMode);
+    }
+    
+    // Savings goal actions (the section is re-rendered as savings grow)
+    const savingsGoalsEl = document.getElementById('savingsGoals');
+    if (savingsGoalsEl) {
+      savingsGoalsEl.addEventListener('click', handleSavingsGoalClick);
+    }
+    
+    // Attach event listener to slip logging button
+    const logSlipBtn = document.getElementById('logSlipBtn');
+    if (logSlipBtn) {
+      logSlipBtn.addEventListener('click', showSlipModal);
+    }
+    
+    const viewHistoryBtn = document.getElementById('viewHistoryBtn');
+    if (viewHistoryBtn) {
+      viewHistoryBtn.addEventListener('click', () => navigate('/history'));
+    }
+  }
+}
+
+// Format an elapsed time as a short duration (e.g. "3 days, 4 hours")
+function formatDuration(timeElapsed) {
+  const plural = (value, unit) => `${value} ${unit}${value !== 1 ? 's' : ''}`;
+  if (timeElapsed.days > 0) {
+    return `${plural(timeElapsed.days, 'day')}, ${plural(timeElapsed.hours, 'hour')}`;
+  }
+  if (timeElapsed.hours > 0) {
+    return `${plural(timeElapsed.hours, 'hour')}, ${plural(timeElapsed.minutes, 'minute')}`;
+  }
+  return plural(timeElapsed.minutes, 'minute');
+}
+
+// Stop the tracker's timers and clean up its components when switching to another view
+function stopTrackerTimers() {
+  destroyTrackerView();
+  if (timerInterval) {
+    clearInterval(timerInterval);
+    timerInterval = null;
+  }
+  if (tipInterval) {
+    clearInterval(tipInterval);
+    tipInterval = null;
+  }
+}
+
+// Path of the compact widget view
+const WIDGET_PATH = '/widget';
+const WIDGET_REFRESH_INTERVAL = 60 * 1000;
+let widgetInterval = null;
+
+// Find the next health milestone after a time (null once all are reached)
+function getNextMilestone(quitDate, now = new Date()) {
+  const milestone = HEALTH_MILESTONES.find((m) => quitDate.getTime() + m.days * 24 * 60 * 60 * 1000 > now.getTime());
+  return milestone ? { ...milestone, date: new Date(quitDate.getTime() + milestone.days * 24 * 60 * 60 * 1000) } : null;
+}
+
+// Render the compact view (/widget) that home screen widgets and pinned tabs show: days
+// smoke-free, money saved and the next milestone. It refreshes itself every minute.
+function renderWidget() {
+  stopTrackerTimers();
+  if (widgetInterval) {
+    clearInterval(widgetInterval);
+  }
+  
+  const update = () => {
+    const quitDate = getQuitDate();
+    const appEl = document.querySelector('#app');
+    if (!quitDate) {
+      updateAppBadge(0);
+      appEl.innerHTML = `
+        <a class="widget-container widget-empty" href="/" target="_blank" rel="noopener">Set your quit date in Quit Now</a>
+      `;
+      return;
+    }
+    
+    const now = new Date();
+    const timeElapsed = calculateTimeElapsed(quitDate, now);
+    const stats = calculateStats(quitDate);
+    const next = timeElapsed.isCountdown ? null : getNextMilestone(quitDate, now);
+    updateAppBadge(stats.daysQuit);
+    
+    appEl.innerHTML = `
+      <a class="widget-container" href="/" target="_blank" rel="noopener" aria-label="Open Quit Now">
+        <div class="widget-days">
+          <span class="widget-days-value">${timeElapsed.days}</span>
+          <span class="widget-days-label">${timeElapsed.isCountdown ? 'days until you quit' : `day${timeElapsed.days !== 1 ? 's' : ''} smoke-free`}</span>
+        </div>
+        ${timeElapsed.isCountdown ? '' : `
+          <div class="widget-row">
+            <span class="widget-label">Saved</span>
+            <span class="widget-value">${escapeHtml(formatMoney(stats.moneySaved))}</span>
           </div>
-          <div class="stat-card">
-            <div class="stat-value" id="daysQuit">${stats.daysQuit}</div>
-            <div class="stat-label">Days Quit</div>
+          <div class="widget-row">
+            <span class="widget-label">Next</span>
+            <span class="widget-value">${next
+              ? `${escapeHtml(next.name)} in ${escapeHtml(formatDuration(calculateTimeElapsed(next.date, now)))}`
+              : 'Every milestone reached'}</span>
           </div>
+        `}
+      </a>
+    `;
+  };
+  
+  update();
+  widgetInterval = setInterval(update, WIDGET_REFRESH_INTERVAL);
+}
+
+// Render the quit attempt history view
+async function renderHistory() {
+  // Timers only belong to the tracker view
+  stopTrackerTimers();
+  
+  const history = await getQuitHistory();
+  // Another view may have opened while the history was loading
+  if (getRoutePath() !== '/history') return;
+  // Newest attempt first
+  const attempts = history.attempts.slice().reverse();
+  
+  document.querySelector('#app').innerHTML = `
+    <div class="home-container">
+      <h1 class="main-title">Quit History</h1>
+      <p class="rotating-tip">Every attempt counts</p>
+      
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="stat-value">${escapeHtml(formatDuration(history.longestStreak))}</div>
+          <div class="stat-label">Longest Streak</div>
         </div>
-        
-        <div class="water-intake-section">
-          <div class="water-intake-header">
-            <div style="flex: 1; text-align: center;">
-              <h3 class="water-intake-title">Water Intake</h3>
-              <p class="water-intake-subtitle">Flush the toxins out</p>
+        <div class="stat-card">
+          <div class="stat-value">${history.totalSmokeFreeDays}</div>
+          <div class="stat-label">Total Smoke-Free Days</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${history.attempts.length}</div>
+          <div class="stat-label">Attempts</div>
+        </div>
+      </div>
+      
+      <div class="history-section">
+        ${attempts.length === 0 ? `
+          <p class="history-empty">No quit attempts yet. Your attempts will appear here.</p>
+        ` : attempts.map((attempt, index) => `
+          <div class="history-card${attempt.isCurrent ? ' history-card-current' : ''}">
+            <div class="history-card-header">
+              <div class="history-card-title">${attempt.isCurrent ? 'Current Attempt' : `Attempt ${attempts.length - index}`}</div>
+              <div class="history-card-duration">${escapeHtml(formatDuration(attempt.timeElapsed))}</div>
             </div>
-            <button class="water-goal-edit-btn" id="waterGoalEditBtn" aria-label="Edit water goal" title="Edit goal">
-              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
-                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
-              </svg>
-            </button>
-          </div>
-          <div class="water-intake-card">
-            <div class="water-intake-main">
-              <div class="water-intake-info">
-                <div class="water-intake-amount" id="waterIntakeAmount">${(getTodayWaterIntake() / 1000).toFixed(1)}L</div>
-                <div class="water-intake-goal" id="waterIntakeGoal">/ ${(getWaterGoal() / 1000).toFixed(1)}L</div>
-              </div>
-              <div class="water-intake-progress-bar">
-                <div class="water-intake-progress-fill" id="waterIntakeProgressFill" style="width: ${Math.min(100, (getTodayWaterIntake() / getWaterGoal()) * 100)}%"></div>
-              </div>
-              <div class="water-intake-buttons">
-                <button class="water-add-btn" id="waterAdd250" data-amount="250" aria-label="Add 250ml">+250ml</button>
-                <button class="water-add-btn" id="waterAdd500" data-amount="500" aria-label="Add 500ml">+500ml</button>
-                <button class="water-add-btn" id="waterAdd750" data-amount="750" aria-label="Add 750ml">+750ml</button>
-              </div>
+            <div class="history-card-dates">
+              ${escapeHtml(formatDisplayDate(attempt.startDate))} &ndash; ${attempt.isCurrent ? 'Ongoing' : escapeHtml(formatDisplayDate(attempt.endDate))}
+            </div>
+            <div class="history-card-stats">
+              <span>${escapeHtml(formatAvoided(attempt.stats.products))} avoided</span>
+              <span>${escapeHtml(formatMoney(attempt.stats.moneySaved))} saved</span>
             </div>
           </div>
+        `).join('')}
+      </div>
+      
+      <button class="btn-secondary history-back-btn" id="historyBackBtn" type="button" aria-label="Back to tracker">Back</button>
+    </div>
+  `;
+  
+  const backBtn = document.getElementById('historyBackBtn');
+  if (backBtn) {
+    backBtn.addEventListener('click', () => navigateBack());
+  }
+  
+  window.scrollTo(0, 0);
+}
+
+// Render the statistics view: totals for the current attempt and craving patterns
+function renderStats() {
+  const quitDate = getQuitDate();
+  if (!quitDate) {
+    renderTracker();
+    return;
+  }
+  
+  // Timers only belong to the tracker view
+  stopTrackerTimers();
+  
+  const timeElapsed = calculateTimeElapsed(quitDate);
+  const stats = calculateStats(quitDate);
+  const health = calculateHealthRegeneration(quitDate);
+  const cravingAnalytics = timeElapsed.isCountdown ? '' : renderCravingAnalytics(quitDate);
+  
+  document.querySelector('#app').innerHTML = `
+    <div class="home-container">
+      <h1 class="main-title">Statistics</h1>
+      <p class="rotating-tip">${timeElapsed.isCountdown
+        ? `Your statistics start on ${escapeHtml(formatDisplayDate(quitDate))}`
+        : `Since ${escapeHtml(formatDisplayDate(quitDate))}`}</p>
+        
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="stat-value">${stats.daysQuit}</div>
+          <div class="stat-label">Days Quit</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${escapeHtml(formatMoney(stats.moneySaved))}</div>
+          <div class="stat-label">Money Saved</div>
+        </div>
+        ${stats.products.map((product) => `
+          <div class="stat-card">
+            <div class="stat-value">${escapeHtml(formatProductAmount(product.type, product.unitsAvoided))}</div>
+            <div class="stat-label">${escapeHtml(getProductProfile(product.type).avoidedLabel)}</div>
+          </div>
+        `).join('')}
+        <div class="stat-card">
+          <div class="stat-value">${health.percentage}%</div>
+          <div class="stat-label">Health Regained</div>
+        </div>
+      </div>
+      
+      ${timeElapsed.isCountdown ? '' : `
+        <div class="stats-cravings">
+          <h3 class="benefits-title">Craving Patterns</h3>
+          <p class="craving-summary" id="cravingSummary">${renderCravingSummary(quitDate)}</p>
+          <div class="craving-analytics-section" id="cravingAnalytics">${cravingAnalytics}</div>
+        </div>
+      `}
+    </div>
+  `;
+  
+  window.scrollTo(0, 0);
+}
+
+// Render the detail view of one health benefit (#/benefits/:id)
+function renderBenefit(id) {
+  const quitDate = getQuitDate();
+  const benefit = quitDate && calculateHealthBenefits(quitDate).find((b) => getBenefitId(b) === id);
+  if (!benefit) {
+    renderTracker();
+    return;
+  }
+  
+  // Timers only belong to the tracker view
+  stopTrackerTimers();
+  
+  const reachedDate = new Date(quitDate.getTime() + benefit.targetDays * 24 * 60 * 60 * 1000);
+  const reached = benefit.progress >= 100 && reachedDate <= new Date();
+  
+  document.querySelector('#app').innerHTML = `
+    <div class="home-container">
+      <h1 class="main-title">${escapeHtml(benefit.name)}</h1>
+      <p class="rotating-tip">${escapeHtml(benefit.category)} &middot; ${escapeHtml(benefit.timeframe)}</p>
+      
+      <div class="benefit-view">
+        <div class="health-header">
+          <div class="health-label">${reached ? 'Reached' : 'Progress'}</div>
+          <div class="health-percentage">${benefit.progress}%</div>
+        </div>
+        <div class="benefit-progress-bar">
+          <div class="benefit-progress-fill" style="width: ${benefit.progress}%"></div>
+        </div>
+        <p class="benefit-view-date">${reached ? 'Reached on' : 'Expected on'} ${escapeHtml(formatDisplayDate(reachedDate))}</p>
+        <p class="benefit-view-details">${escapeHtml(benefit.details)}</p>
+      </div>
+      
+      <button class="btn-secondary history-back-btn" id="benefitBackBtn" type="button" aria-label="Back">Back</button>
+    </div>
+  `;
+  
+  document.getElementById('benefitBackBtn').addEventListener('click', () => navigateBack());
+  
+  window.scrollTo(0, 0);
+}
+
+// Render the settings view for editing the tracker in place
+function renderSettings() {
+  const quitDate = getQuitDate();
+  if (!quitDate) {
+    renderTracker();
+    return;
+  }
+  
+  // Timers only belong to the tracker view
+  stopTrackerTimers();
+  
+  document.querySelector('#app').innerHTML = `
+    <div class="home-container">
+      <h1 class="main-title">Settings</h1>
+      <p class="rotating-tip">Changes keep your progress and milestones</p>
+      
+      <div class="setup-form settings-form">
+        <div class="form-group">
+          <label for="nickname">Nickname:</label>
+          <input type="text" id="nickname" placeholder="Your name" maxlength="20" value="${escapeHtml(getNickname())}">
+        </div>
+        <div class="form-group">
+          <label for="quitDate">Quit Date:</label>
+          <input type="datetime-local" id="quitDate" value="${toDateTimeLocalValue(quitDate)}" required>
+          <small class="form-hint">Future dates will show countdown</small>
+        </div>
+        <div class="form-group">
+          <label for="currency">Currency:</label>
+          <select id="currency">${renderCurrencyOptions(getCurrency())}</select>
+        </div>
+        <div class="form-group">
+          <label for="waterUnit">Water units:</label>
+          <select id="waterUnit">
+            ${Object.entries(WATER_UNITS).map(([id, unit]) => `
+              <option value="${id}"${id === getWaterUnit() ? ' selected' : ''}>${escapeHtml(unit.label)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="product-rows" id="productRows">${getProducts().map(renderProductRow).join('')}</div>
+        <button class="btn-secondary product-add-btn" id="addProductBtn" type="button">+ Add another product</button>
+        <div class="form-group">
+          <label for="inflationRate">Yearly price inflation (%):</label>
+          <input type="number" id="inflationRate" value="${getInflationRate()}" min="0" max="${MAX_INFLATION_RATE}" step="0.1">
+          <small class="form-hint">Used to project future savings. A new cost applies from today; past prices are kept.</small>
+        </div>
+        <button class="btn-secondary product-add-btn" id="priceHistoryBtn" type="button">Edit price history</button>
+        ${renderNotificationSettings(getNotificationPrefs())}
+        <p class="settings-preview" id="settingsPreview" aria-live="polite"></p>
+        <button class="btn-primary" id="saveSettingsBtn" type="button">Save Changes</button>
+        <button class="btn-secondary history-link-btn" id="settingsBackBtn" type="button" aria-label="Back to tracker">Cancel</button>
+      </div>
+      
+      <div class="settings-backup">
+        <p>Keep a copy of your progress, move it to another device, or open it in a spreadsheet.</p>
+        <div class="settings-backup-buttons">
+          <button class="btn-secondary" id="exportBackupBtn" type="button">Export backup</button>
+          <button class="btn-secondary" id="importBackupBtn" type="button">Import backup</button>
+        </div>
+        <button class="btn-secondary settings-csv-btn" id="exportCsvBtn" type="button">Export daily progress (CSV)</button>
+      </div>
+      
+      <div class="settings-danger">
+        <p>Starting over? Resetting ends this attempt and saves it to your quit history.</p>
+        <button class="btn-secondary settings-reset-btn" id="resetBtn" type="button" aria-label="Reset tracker">Reset tracker</button>
+      </div>
+    </div>
+  `;
+  
+  const productRowsEl = document.getElementById('productRows');
+  const dateInputEl = document.getElementById('quitDate');
+  const currencyEl = document.getElementById('currency');
+  const previewEl = document.getElementById('settingsPreview');
+  
+  attachProductRowHandlers(productRowsEl, document.getElementById('addProductBtn'));
+  
+  // Recompute the stats with the edited values so changes are visible before saving
+  const updatePreview = () => {
+    const draftDate = new Date(dateInputEl.value);
+    const draftProducts = readProductRows(productRowsEl);
+    const error = validateQuitDate(draftDate) || validateProducts(draftProducts);
+    if (error) {
+      previewEl.textContent = error;
+      previewEl.classList.add('settings-preview-error');
+      return;
+    }
+    previewEl.classList.remove('settings-preview-error');
+    const now = new Date();
+    const draftPrices = withPriceChanges(getPriceHistory(), getProducts(), normalizeProducts(draftProducts), now);
+    const stats = calculateAttemptStats(draftDate, now, draftProducts, getSlippedUnits(draftDate), draftPrices);
+    previewEl.textContent = draftDate > new Date()
+      ? 'Your quit date is in the future, so the countdown will start again.'
+      : `With these settings: ${formatAvoided(stats.products)} avoided and ${formatMoney(stats.moneySaved, currencyEl.value)} saved.`;
+  };
+  
+  const settingsForm = document.querySelector('.settings-form');
+  settingsForm.addEventListener('input', updatePreview);
+  // Product type changes reset the row defaults on change, and adding or removing a row is a click
+  settingsForm.addEventListener('change', updatePreview);
+  settingsForm.addEventListener('click', () => requestAnimationFrame(updatePreview));
+  updatePreview();
+  
+  document.getElementById('priceHistoryBtn').addEventListener('click', showPriceHistoryModal);
+  
+  const enableNotificationsBtn = document.getElementById('enableNotificationsBtn');
+  if (enableNotificationsBtn) {
+    enableNotificationsBtn.addEventListener('click', async () => {
+      const granted = await requestNotificationPermission();
+      document.getElementById('notificationPermissionHint').textContent = granted
+        ? 'Notifications are enabled.'
+        : 'Notifications are blocked in this browser.';
+      enableNotificationsBtn.hidden = true;
+      if (granted && !notificationCheckInterval) {
+        startNotificationChecking(getQuitDate());
+      }
+    });
+  }
+  setupPushSettings();
+  document.getElementById('saveSettingsBtn').addEventListener('click', saveSettings);
+  document.getElementById('settingsBackBtn').addEventListener('click', () => navigateBack());
+  document.getElementById('exportBackupBtn').addEventListener('click', exportBackup);
+  document.getElementById('importBackupBtn').addEventListener('click', importBackup);
+  document.getElementById('exportCsvBtn').addEventListener('click', exportProgressCsv);
+  document.getElementById('resetBtn').addEventListener('click', resetTracker);
+  
+  window.scrollTo(0, 0);
+}
+
+// Show the price history editor for the saved products
+function showPriceHistoryModal() {
+  if (!document.body) return;
+  
+  const products = getProducts();
+  // Make sure every product has a timeline before editing it
+  setPriceHistory(withPriceChanges(getPriceHistory(), products, products, new Date()));
+  
+  const { modal } = openFormModal('price-history-modal-title', `
+    <h3 id="price-history-modal-title">Price History</h3>
+    <p>Record past price changes so your savings use the price you actually paid at the time.</p>
+    <div class="price-history-list" id="priceHistoryList"></div>
+    <div class="form-group">
+      <label for="priceProduct">Product:</label>
+      <select id="priceProduct">
+        ${products.map((product) => `<option value="${product.type}">${escapeHtml(getProductProfile(product.type).label)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="priceDate">Price changed on:</label>
+      <input type="date" id="priceDate" value="${toDateTimeLocalValue(new Date()).slice(0, 10)}">
+    </div>
+    <div class="form-group">
+      <label for="priceCost" id="priceCostLabel">New cost per ${getProductProfile(products[0].type).packName}:</label>
+      <input type="number" id="priceCost" min="0" max="1000" step="0.01" value="${products[0].costPerPack}">
+    </div>
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Done</button>
+      <button class="btn-confirm" type="button">Add Price</button>
+    </div>
+  `, 'price-history-modal', () => {
+    // Leaving settings closes the modal too; only refresh settings while they are shown
+    if (getRoutePath() === '/settings') {
+      renderSettings();
+    }
+  });
+  
+  const listEl = modal.querySelector('#priceHistoryList');
+  
+  const renderList = () => {
+    const priceHistory = getPriceHistory();
+    listEl.innerHTML = products.map((product) => {
+      const profile = getProductProfile(product.type);
+      const entries = getTimelineEntries(priceHistory[product.type]);
+      return `
+        <div class="price-history-product">${escapeHtml(profile.label)}</div>
+        ${entries.map((entry, index) => `
+          <div class="price-history-entry">
+            <span>${entry.from ? escapeHtml(new Date(entry.from).toLocaleDateString()) : 'Original price'}</span>
+            <span>${escapeHtml(formatMoney(entry.costPerPack))} / ${profile.packName}</span>
+            ${index > 0 ? `
+              <button class="price-history-delete" type="button" data-type="${product.type}" data-index="${index}" aria-label="Delete price change">&times;</button>
+            ` : ''}
+          </div>
+        `).join('')}
+      `;
+    }).join('');
+  };
+  
+  listEl.addEventListener('click', (e) => {
+    const deleteBtn = e.target.closest('.price-history-delete');
+    if (!deleteBtn) return;
+    const priceHistory = getPriceHistory();
+    const type = deleteBtn.getAttribute('data-type');
+    const entries = getTimelineEntries(priceHistory[type]);
+    entries.splice(parseInt(deleteBtn.getAttribute('data-index')), 1);
+    setPriceHistory({ ...priceHistory, [type]: entries });
+    renderList();
+  });
+  
+  modal.querySelector('#priceProduct').addEventListener('change', (e) => {
+    const product = products.find((item) => item.type === e.target.value);
+    modal.querySelector('#priceCostLabel').textContent = `New cost per ${getProductProfile(product.type).packName}:`;
+    modal.querySelector('#priceCost').value = product.costPerPack;
+  });
+  
+  modal.querySelector('.btn-confirm').addEventListener('click', () => {
+    const type = modal.querySelector('#priceProduct').value;
+    const dateValue = modal.querySelector('#priceDate').value;
+    // Price changes take effect at the start of the chosen day
+    const date = new Date(`${dateValue}T00:00`);
+    const costPerPack = parseFloat(modal.querySelector('#priceCost').value);
+    
+    if (!dateValue || isNaN(date.getTime())) {
+      showErrorModal('Please choose the date the price changed.');
+      return;
+    }
+    if (date > new Date()) {
+      showErrorModal('Price changes cannot be in the future.');
+      return;
+    }
+    if (isNaN(costPerPack) || costPerPack < 0 || costPerPack > 1000) {
+      showErrorModal(`Please enter a valid cost per ${getProductProfile(type).packName} (0-1000).`);
+      return;
+    }
+    
+    const priceHistory = getPriceHistory();
+    // A second change on the same day replaces the first
+    const entries = getTimelineEntries(priceHistory[type])
+      .filter((entry) => !entry.from || new Date(entry.from).getTime() !== date.getTime());
+    entries.push({ from: date.toISOString(), costPerPack });
+    setPriceHistory({ ...priceHistory, [type]: entries });
+    renderList();
+  });
+  
+  renderList();
+}
+
+// Check helpers for backup values
+const isDateString = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isObjectArray = (value) => Array.isArray(value) && value.every(isPlainObject);
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const isNumberInRange = (min, max) => (value) => typeof value === 'number' && value >= min && value <= max;
+const isOptionalString = (maxLength) => (value) => value === undefined || value === null || (typeof value === 'string' && value.length <= maxLength);
+
+// Entry checks for the logs, with the rules the forms that create them apply
+const isValidCraving = (craving) => isPlainObject(craving)
+  && isDateString(craving.date)
+  && Number.isInteger(craving.intensity) && craving.intensity >= 1 && craving.intensity <= 10
+  && (craving.trigger === null || craving.trigger === undefined || CRAVING_TRIGGERS.some((trigger) => trigger.id === craving.trigger))
+  && (craving.trigger !== 'custom' || (typeof craving.customTrigger === 'string' && craving.customTrigger.length > 0))
+  && isOptionalString(MAX_CUSTOM_TRIGGER_LENGTH)(craving.customTrigger)
+  && typeof craving.resisted === 'boolean';
+const isValidSlip = (slip) => isPlainObject(slip)
+  && isDateString(slip.date)
+  && Boolean(PRODUCT_PROFILES[slip.product])
+  && Number.isInteger(slip.count) && slip.count >= 1 && slip.count <= 200
+  && isOptionalString(MAX_SLIP_NOTE_LENGTH)(slip.note);
+const isValidSosSession = (session) => isPlainObject(session)
+  && isDateString(session.date)
+  && Boolean(BREATHING_PATTERNS[session.pattern])
+  && isNumberInRange(0, SOS_DURATION_SECONDS)(session.durationSeconds)
+  && typeof session.passed === 'boolean';
+const isValidSavingsGoal = (goal) => isPlainObject(goal)
+  && typeof goal.id === 'string'
+  && typeof goal.name === 'string' && goal.name.length > 0 && goal.name.length <= MAX_GOAL_NAME_LENGTH
+  && typeof goal.price === 'number' && goal.price > 0 && goal.price <= MAX_GOAL_PRICE
+  && (goal.purchasedAt === null || goal.purchasedAt === undefined || isDateString(goal.purchasedAt));
+
+// Every stored key included in a backup, with its label and a check for its value
+// (dates are ISO strings, everything else is stored as its JSON value)
+const BACKUP_FIELDS = {
+  quitDate: { label: 'Quit date', validate: isDateString },
+  nickname: { label: 'Nickname', validate: (value) => typeof value === 'string' && value.length <= 20 },
+  currency: { label: 'Currency', validate: (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value) },
+  products: { label: 'Products', validate: (value) => isObjectArray(value) && !validateProducts(value) },
+  priceHistory: { label: 'Price history', validate: isPlainObject },
+  inflationRate: { label: 'Yearly inflation', validate: isNumberInRange(0, MAX_INFLATION_RATE) },
+  savingsGoals: { label: 'Savings goals', validate: (value) => Array.isArray(value) && value.every(isValidSavingsGoal) },
+  slips: { label: 'Slips', validate: (value) => Array.isArray(value) && value.every(isValidSlip) },
+  quitAttempts: {
+    label: 'Quit attempts',
+    validate: (value) => isObjectArray(value) && value.every((attempt) => isDateString(attempt.startDate) && isDateString(attempt.endDate))
+  },
+  cravings: { label: 'Cravings', validate: (value) => Array.isArray(value) && value.every(isValidCraving) },
+  sosSessions: { label: 'SOS sessions', validate: (value) => Array.isArray(value) && value.every(isValidSosSession) },
+  waterGoal: { label: 'Water goal', validate: isNumberInRange(MIN_WATER_GOAL_ML, MAX_WATER_GOAL_ML) },
+  waterUnit: { label: 'Water units', validate: (value) => Boolean(WATER_UNITS[value]) },
+  waterIntake: {
+    label: 'Water intake',
+    validate: (value) => isPlainObject(value) && typeof value.date === 'string' && typeof value.intake === 'number'
+  },
+  waterEntries: {
+    label: 'Water log',
+    validate: (value) => isObjectArray(value) && value.every((entry) => isDateString(entry.date) && isNumberInRange(1, 10000)(entry.amount))
+  },
+  notifiedMilestones: { label: 'Notified milestones', validate: isStringArray },
+  notifiedBenefits: { label: 'Notified benefits', validate: isStringArray },
+  lastDailyNotification: { label: 'Last daily update', validate: isDateString },
+  lastWaterReminder: { label: 'Last water reminder', validate: isDateString },
+  notificationPrefs: { label: 'Notification preferences', validate: isPlainObject }
+};
+
+// Read all app state (settings from storage, history from the event store) into a plain
+// object keyed like BACKUP_FIELDS
+async function readBackupData() {
+  const data = storage.readSnapshot();
+  const attempts = await getQuitAttempts();
+  const waterEntries = await getWaterEntries();
+  if (attempts.length > 0) {
+    data.quitAttempts = attempts;
+  }
+  if (waterEntries.length > 0) {
+    data.waterEntries = waterEntries.map((entry) => ({ date: new Date(entry.timestamp).toISOString(), amount: entry.amount }));
+  }
+  return data;
+}
+
+// Download a file generated in the browser
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download a versioned JSON backup of all app state
+async function exportBackup() {
+  try {
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: storage.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: await readBackupData()
+    };
+    const date = toDateTimeLocalValue(new Date()).slice(0, 10);
+    downloadFile(`quit-now-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.error('Error exporting backup:', error);
+    }
+    showErrorModal('Unable to export your data. Please try again.');
+  }
+}
+
+// Quote a CSV cell when needed
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build one CSV row per calendar day since the quit date, each a snapshot at the end of
+// that day (or now, for today)
+async function buildProgressCsv(quitDate) {
+  const products = getProducts();
+  const priceHistory = getPriceHistory();
+  const now = new Date();
+  
+  // Total the logged water per calendar day
+  const firstDay = new Date(quitDate.getFullYear(), quitDate.getMonth(), quitDate.getDate());
+  const waterByDay = {};
+  (await getWaterEntries(firstDay, now)).forEach((entry) => {
+    const key = new Date(entry.timestamp).toDateString();
+    waterByDay[key] = (waterByDay[key] || 0) + entry.amount;
+  });
+  
+  const header = [
+    'Date',
+    'Days Quit',
+    ...products.map((product) => {
+      const profile = getProductProfile(product.type);
+      return profile.suffix ? `${profile.avoidedLabel} (${profile.suffix})` : profile.avoidedLabel;
+    }),
+    `Money Saved (${getCurrency()})`,
+    'Health Regeneration (%)',
+    `Water Intake (${getWaterUnitSuffix(2).trim()})`
+  ];
+  
+  const rows = [header];
+  const day = new Date(firstDay);
+  while (day <= now) {
+    const endOfDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    const snapshot = endOfDay < now ? endOfDay : now;
+    const stats = calculateAttemptStats(quitDate, snapshot, products, getSlippedUnits(quitDate, snapshot), priceHistory);
+    rows.push([
+      toDateTimeLocalValue(day).slice(0, 10),
+      stats.daysQuit,
+      ...stats.products.map((product) => product.unitsAvoided),
+      stats.moneySaved,
+      calculateHealthRegeneration(quitDate, snapshot).percentage,
+      toWaterUnit(waterByDay[day.toDateString()] || 0)
+    ]);
+    day.setDate(day.getDate() + 1);
+  }
+  
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// Download the daily progress as a CSV file
+async function exportProgressCsv() {
+  const quitDate = getQuitDate();
+  if (!quitDate) return;
+  if (quitDate > new Date()) {
+    showErrorModal('Your quit date hasn\'t arrived yet, so there is no progress to export.');
+    return;
+  }
+  
+  try {
+    const date = toDateTimeLocalValue(new Date()).slice(0, 10);
+    // The byte order mark helps spreadsheet apps detect UTF-8
+    downloadFile(`quit-now-progress-${date}.csv`, `\uFEFF${await buildProgressCsv(quitDate)}`, 'text/csv;charset=utf-8');
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.error('Error exporting CSV:', error);
+    }
+    showErrorModal('Unable to export your progress. Please try again.');
+  }
+}
+
+// Parse and validate a backup file; returns { data } or { error }
+function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { error: 'This file is not valid JSON. Please choose a backup exported from this app.' };
+  }
+  
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return { error: 'This file is not a Quit Now backup.' };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return { error: 'This backup has an invalid version number.' };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return { error: 'This backup was made by a newer version of the app. Please update the app and try again.' };
+  }
+  if (!isPlainObject(backup.data)) {
+    return { error: 'This backup does not contain any data.' };
+  }
+  // Backups made before the schema was versioned have no schemaVersion
+  const schemaVersion = Number.isInteger(backup.schemaVersion) ? backup.schemaVersion : 0;
+  if (schemaVersion > storage.SCHEMA_VERSION) {
+    return { error: 'This backup was made by a newer version of the app. Please update the app and try again.' };
+  }
+  
+  let migrated;
+  try {
+    migrated = storage.migrateSnapshot(backup.data, schemaVersion);
+  } catch (error) {
+    return { error: 'This backup could not be upgraded to the current version. Nothing was imported.' };
+  }
+  
+  const data = {};
+  for (const [key, field] of Object.entries(BACKUP_FIELDS)) {
+    if (!(key in migrated) || migrated[key] === null) continue;
+    if (!field.validate(migrated[key])) {
+      return { error: `This backup has an invalid value for "${field.label}". Nothing was imported.` };
+    }
+    data[key] = migrated[key];
+  }
+  
+  if (Object.keys(data).length === 0) {
+    return { error: 'This backup does not contain any data.' };
+  }
+  if (!data.quitDate && (data.products || data.slips)) {
+    return { error: 'This backup is missing its quit date. Nothing was imported.' };
+  }
+  return { data, exportedAt: isDateString(backup.exportedAt) ? new Date(backup.exportedAt) : null };
+}
+
+// Describe a backup value for the import preview
+function describeBackupValue(key, value) {
+  if (value === undefined) return 'None';
+  if (key === 'quitDate') return formatDisplayDate(new Date(value));
+  if (key === 'lastDailyNotification' || key === 'lastWaterReminder') return new Date(value).toLocaleString();
+  if (key === 'products') return value.map((product) => getProductProfile(product.type).label).join(', ');
+  if (key === 'waterGoal') return formatWaterTotal(value);
+  if (key === 'waterIntake') return `${formatWaterTotal(value.intake)} on ${value.date}`;
+  if (key === 'waterUnit') return WATER_UNITS[value] ? WATER_UNITS[value].label : String(value);
+  if (key === 'inflationRate') return `${value}%`;
+  if (key === 'priceHistory') return `${Object.keys(value).length} product${Object.keys(value).length !== 1 ? 's' : ''}`;
+  if (Array.isArray(value)) return `${value.length} item${value.length !== 1 ? 's' : ''}`;
+  return String(value);
+}
+
+// List what an import would change compared to the current data
+async function getBackupChanges(data) {
+  const current = await readBackupData();
+  return Object.entries(BACKUP_FIELDS)
+    .filter(([key]) => JSON.stringify(current[key]) !== JSON.stringify(data[key]))
+    .map(([key, field]) => ({
+      label: field.label,
+      from: describeBackupValue(key, current[key]),
+      to: describeBackupValue(key, data[key])
+    }));
+}
+
+// Pick a backup file and show what importing it would change
+function importBackup() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json,.json';
+  input.addEventListener('change', async () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    if (file.size > MAX_BACKUP_SIZE) {
+      showErrorModal('This file is too large to be a backup.');
+      return;
+    }
+    try {
+      const result = parseBackup(await file.text());
+      if (result.error) {
+        showErrorModal(result.error);
+        return;
+      }
+      await showImportPreview(result.data, result.exportedAt);
+    } catch (error) {
+      if (import.meta.env.DEV) {
+        console.error('Error reading backup file:', error);
+      }
+      showErrorModal('Unable to read this file. Please try again.');
+    }
+  });
+  input.click();
+}
+
+// Show the changes an import will make and restore the backup on confirmation
+async function showImportPreview(data, exportedAt) {
+  if (!document.body) return;
+  
+  const changes = await getBackupChanges(data);
+  const { modal, closeModal } = openFormModal('import-modal-title', `
+    <h3 id="import-modal-title">Restore Backup</h3>
+    <p>${exportedAt ? `Backup from ${escapeHtml(formatDisplayDate(exportedAt))}. ` : ''}${changes.length === 0
+      ? 'This backup matches your current data.'
+      : 'Restoring replaces your current data with the backup:'}</p>
+    ${changes.length > 0 ? `
+      <ul class="import-preview-list">
+        ${changes.map((change) => `
+          <li class="import-preview-item">
+            <span class="import-preview-label">${escapeHtml(change.label)}</span>
+            <span class="import-preview-change">${escapeHtml(change.from)} &rarr; ${escapeHtml(change.to)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : ''}
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Cancel</button>
+      <button class="btn-confirm" type="button"${changes.length === 0 ? ' disabled' : ''}>Restore</button>
+    </div>
+  `, 'import-modal');
+  
+  modal.querySelector('.btn-confirm').addEventListener('click', async () => {
+    if (!await restoreBackup(data)) return;
+    closeModal();
+    navigate('/');
+  });
+}
+
+// Replace all app state with validated backup data
+async function restoreBackup(data) {
+  const { quitAttempts = [], waterEntries, ...settings } = data;
+  // Storage rolls back a failed write, so a failed import never leaves a mix of both
+  if (!storage.writeSnapshot(settings)) return false;
+  
+  try {
+    await eventStoreReady;
+    await eventStore.replaceAll('attempts', quitAttempts.map(toAttemptRecord).filter(Boolean));
+    // Backups made before the water log only have today's total
+    await eventStore.replaceAll('waterEntries', waterEntries
+      ? waterEntries.map((entry) => ({ timestamp: new Date(entry.date).getTime(), amount: entry.amount }))
+      : waterIntakeEntries(settings.waterIntake));
+  } catch (error) {
+    handleEventStoreError(error, 'restoring history');
+    showErrorModal('Your settings were restored, but your quit history and water log could not be.');
+  }
+  
+  // Reload notification state for the restored quit date
+  stopNotificationChecking();
+  notifiedMilestones.clear();
+  notifiedBenefits.clear();
+  lastDailyNotification = null;
+  loadNotifiedItems();
+  // The claims belong to the replaced data; the restored notified items are rescheduled
+  await resetNotificationClaims();
+  return true;
+}
+
+// Render the notification preferences fieldset for the settings form
+function renderNotificationSettings(prefs) {
+  const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+  return `
+    <fieldset class="settings-notifications" id="notificationSettings">
+      <legend>Notifications</legend>
+      ${permission === 'granted' ? '' : `
+        <p class="form-hint" id="notificationPermissionHint">${permission === 'default'
+          ? 'Notifications are not enabled yet.'
+          : 'Notifications are blocked or not supported in this browser.'}</p>
+        ${permission === 'default' ? '<button class="btn-secondary product-add-btn" id="enableNotificationsBtn" type="button">Enable notifications</button>' : ''}
+      `}
+      <div class="form-group">
+        ${Object.entries(NOTIFICATION_CATEGORIES).map(([category, label]) => `
+          <label class="form-choice">
+            <input type="checkbox" data-notification-category="${category}"${prefs[category] ? ' checked' : ''}>
+            ${escapeHtml(label)}
+          </label>
+        `).join('')}
+      </div>
+      <div class="form-group">
+        <label for="dailySummaryTime">Daily summary time:</label>
+        <input type="time" id="dailySummaryTime" value="${prefs.dailySummaryTime}">
+      </div>
+      <div class="form-group">
+        <label class="form-choice">
+          <input type="checkbox" id="quietHoursEnabled"${prefs.quietHours.enabled ? ' checked' : ''}>
+          Quiet hours
+        </label>
+        <div class="quiet-hours-times">
+          <input type="time" id="quietHoursStart" value="${prefs.quietHours.start}" aria-label="Quiet hours start">
+          <span>to</span>
+          <input type="time" id="quietHoursEnd" value="${prefs.quietHours.end}" aria-label="Quiet hours end">
+        </div>
+        <small class="form-hint">Nothing is sent during quiet hours; milestones reached then arrive when they end.</small>
+      </div>
+      ${isPushSupported() ? `
+        <div class="form-group push-settings">
+          <p class="form-hint" id="pushStatus">Checking push notifications...</p>
+          <button class="btn-secondary product-add-btn" id="pushToggleBtn" type="button" disabled>Turn on push</button>
+          <button class="btn-secondary product-add-btn" id="pushCopyBtn" type="button" hidden>Copy subscription</button>
+        </div>
+      ` : ''}
+    </fieldset>
+  `;
+}
+
+// Show whether push is on and wire up its buttons in the settings form
+async function setupPushSettings() {
+  const statusEl = document.getElementById('pushStatus');
+  if (!statusEl) return;
+  const toggleBtn = document.getElementById('pushToggleBtn');
+  const copyBtn = document.getElementById('pushCopyBtn');
+  
+  const update = async () => {
+    let subscription = null;
+    try {
+      subscription = await getPushSubscription();
+    } catch (error) {
+      if (import.meta.env.DEV) {
+        console.error('Error reading push subscription:', error);
+      }
+    }
+    statusEl.textContent = subscription
+      ? `Push is on: milestone reminders can reach this device while the app is closed.${PUSH_SERVER_URL ? '' : ' Copy the subscription to your push sender.'}`
+      : 'Push is off. Turn it on to get reminders from a push server while the app is closed.';
+    toggleBtn.textContent = subscription ? 'Turn off push' : 'Turn on push';
+    toggleBtn.disabled = false;
+    copyBtn.hidden = !subscription || Boolean(PUSH_SERVER_URL);
+    return subscription;
+  };
+  
+  toggleBtn.addEventListener('click', async () => {
+    toggleBtn.disabled = true;
+    try {
+      if (await getPushSubscription()) {
+        await unsubscribeFromPush();
+      } else if (!(await subscribeToPush())) {
+        showErrorModal('Push needs notification permission. Please allow notifications for this site.');
+      }
+    } catch (error) {
+      if (import.meta.env.DEV) {
+        console.error('Error changing push subscription:', error);
+      }
+      showErrorModal('Unable to change push notifications. Please try again.');
+    }
+    await update();
+  });
+  
+  copyBtn.addEventListener('click', async () => {
+    const subscription = await getPushSubscription();
+    if (subscription) {
+      showPushSubscriptionModal(subscription);
+    }
+  });
+  
+  await update();
+}
+
+// Show the push subscription JSON to paste into the push sender's subscriptions file
+function showPushSubscriptionModal(subscription) {
+  const json = JSON.stringify(subscription.toJSON(), null, 2);
+  const { modal, closeModal } = openFormModal('push-subscription-title', `
+    <h3 id="push-subscription-title">Push Subscription</h3>
+    <p>Save this in the subscriptions file you pass to <code>scripts/push-sender.js</code>. Anyone with it can send notifications to this device.</p>
+    <textarea class="push-subscription-json" rows="8" readonly aria-label="Push subscription">${escapeHtml(json)}</textarea>
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Close</button>
+      <button class="btn-confirm" type="button">Copy</button>
+    </div>
+  `);
+  
+  const textarea = modal.querySelector('textarea');
+  textarea.select();
+  modal.querySelector('.btn-confirm').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(json);
+      closeModal();
+    } catch (error) {
+      // Clipboard access can be refused; the text is selected for copying by hand
+      textarea.focus();
+      textarea.select();
+    }
+  });
+}
+
+// Read notification preferences from the settings form
+function readNotificationSettings(container) {
+  const prefs = {
+    dailySummaryTime: container.querySelector('#dailySummaryTime').value,
+    quietHours: {
+      enabled: container.querySelector('#quietHoursEnabled').checked,
+      start: container.querySelector('#quietHoursStart').value,
+      end: container.querySelector('#quietHoursEnd').value
+    }
+  };
+  container.querySelectorAll('[data-notification-category]').forEach((input) => {
+    prefs[input.getAttribute('data-notification-category')] = input.checked;
+  });
+  return prefs;
+}
+
+// Validate and save the settings form, then go back to the view settings was opened from
+function saveSettings() {
+  try {
+    const nicknameEl = document.getElementById('nickname');
+    const dateInputEl = document.getElementById('quitDate');
+    const productRowsEl = document.getElementById('productRows');
+    const currencyEl = document.getElementById('currency');
+    const inflationEl = document.getElementById('inflationRate');
+    const waterUnitEl = document.getElementById('waterUnit');
+    const notificationSettingsEl = document.getElementById('notificationSettings');
+    
+    if (!nicknameEl || !dateInputEl || !productRowsEl || !currencyEl || !inflationEl || !waterUnitEl || !notificationSettingsEl) {
+      showErrorModal('Form elements not found. Please refresh the page.');
+      return;
+    }
+    
+    if (!dateInputEl.value) {
+      showErrorModal('Please select a quit date');
+      return;
+    }
+    
+    // Validate everything before saving anything
+    const quitDate = new Date(dateInputEl.value);
+    const products = readProductRows(productRowsEl);
+    const inflationRate = inflationEl.value === '' ? 0 : parseFloat(inflationEl.value);
+    const notificationPrefs = readNotificationSettings(notificationSettingsEl);
+    const error = validateQuitDate(quitDate)
+      || validateProducts(products)
+      || validateInflationRate(inflationRate)
+      || validateCurrency(currencyEl.value)
+      || validateWaterUnit(waterUnitEl.value)
+      || validateNotificationPrefs(notificationPrefs);
+    if (error) {
+      showErrorModal(error);
+      return;
+    }
+    
+    // Notified milestones and benefits are kept, so editing never re-sends them
+    // The input has no seconds, so compare at minute precision to keep an unchanged date exact
+    const quitDateChanged = dateInputEl.value !== toDateTimeLocalValue(getQuitDate());
+    
+    // Save everything in one write, so a storage error leaves all the old settings in place.
+    // Storage errors are reported by the storage module.
+    const saved = storage.setItems({
+      nickname: sanitizeNickname(nicknameEl.value),
+      currency: normalizeCurrency(currencyEl.value),
+      inflationRate: inflationRate === 0 ? null : inflationRate,
+      waterUnit: waterUnitEl.value,
+      notificationPrefs,
+      ...getProductValues(products),
+      ...(quitDateChanged ? { quitDate } : {})
+    });
+    if (!saved) {
+      return;
+    }
+    
+    if (quitDateChanged) {
+      // The notification checks capture the quit date, so restart them with the new one
+      stopNotificationChecking();
+      startNotificationChecking(quitDate);
+    } else {
+      // Preferences may have changed what the service worker should send
+      syncNotificationSchedule();
+    }
+    
+    navigateBack();
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.error('Error saving settings:', error);
+    }
+    showErrorModal('Unable to save settings. Please try again.');
+  }
+}
+
+// Capitalize the first letter of a string
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+let productRowCounter = 0;
+
+// Render an editable product row (type, amount per day, pack size, cost per pack)
+function renderProductRow(product) {
+  const profile = getProductProfile(product.type);
+  const id = `product${productRowCounter++}`;
+  return `
+    <div class="product-row">
+      <div class="form-group">
+        <label for="${id}Type">What are you quitting?</label>
+        <select id="${id}Type" class="product-type">
+          ${Object.entries(PRODUCT_PROFILES).map(([type, option]) => `
+            <option value="${type}"${type === product.type ? ' selected' : ''}>${escapeHtml(option.label)}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="product-row-fields">
+        <div class="form-group">
+          <label for="${id}PerDay" class="product-per-day-label">${escapeHtml(capitalize(profile.unitPlural))} per day:</label>
+          <input type="number" id="${id}PerDay" class="product-per-day" value="${product.perDay}" min="${profile.step}" max="200" step="${profile.step}" required>
+        </div>
+        <div class="form-group">
+          <label for="${id}PackSize" class="product-pack-size-label">${escapeHtml(capitalize(profile.unitPlural))} per ${profile.packName}:</label>
+          <input type="number" id="${id}PackSize" class="product-pack-size" value="${product.packSize}" min="1" max="1000" step="any" required>
+        </div>
+        <div class="form-group">
+          <label for="${id}Cost" class="product-cost-label">Cost per ${profile.packName}:</label>
+          <input type="number" id="${id}Cost" class="product-cost" value="${product.costPerPack}" min="0" max="1000" step="0.01" required>
+        </div>
+      </div>
+      <button class="product-remove-btn" type="button" aria-label="Remove product">Remove</button>
+    </div>
+  `;
+}
+
+// Read the products entered in a product row container
+function readProductRows(container) {
+  return Array.from(container.querySelectorAll('.product-row')).map((row) => ({
+    type: row.querySelector('.product-type').value,
+    perDay: parseFloat(row.querySelector('.product-per-day').value),
+    packSize: parseFloat(row.querySelector('.product-pack-size').value),
+    costPerPack: parseFloat(row.querySelector('.product-cost').value)
+  }));
+}
+
+// Wire up product type changes, removing rows and adding rows
+function attachProductRowHandlers(container, addBtn) {
+  if (!container) return;
+  
+  const updateRowControls = () => {
+    const rows = container.querySelectorAll('.product-row');
+    // The first product can't be removed, and each product type can only be added once
+    rows.forEach((row, index) => {
+      row.querySelector('.product-remove-btn').hidden = rows.length === 1 || index === 0;
+    });
+    if (addBtn) {
+      addBtn.hidden = rows.length >= Object.keys(PRODUCT_PROFILES).length;
+    }
+  };
+  
+  container.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('product-type')) return;
+    // Switching product resets the row to that product's units and defaults
+    const row = e.target.closest('.product-row');
+    const product = createProduct(e.target.value);
+    const profile = getProductProfile(product.type);
+    const perDayInput = row.querySelector('.product-per-day');
+    perDayInput.value = product.perDay;
+    perDayInput.min = profile.step;
+    perDayInput.step = profile.step;
+    row.querySelector('.product-pack-size').value = product.packSize;
+    row.querySelector('.product-cost').value = product.costPerPack;
+    row.querySelector('.product-per-day-label').textContent = `${capitalize(profile.unitPlural)} per day:`;
+    row.querySelector('.product-pack-size-label').textContent = `${capitalize(profile.unitPlural)} per ${profile.packName}:`;
+    row.querySelector('.product-cost-label').textContent = `Cost per ${profile.packName}:`;
+  });
+  
+  container.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('product-remove-btn')) return;
+    e.target.closest('.product-row').remove();
+    updateRowControls();
+  });
+  
+  if (addBtn) {
+    addBtn.addEventListener('click', () => {
+      // Offer the first product type that isn't listed yet
+      const usedTypes = readProductRows(container).map((product) => product.type);
+      const nextType = Object.keys(PRODUCT_PROFILES).find((type) => !usedTypes.includes(type));
+      if (!nextType) return;
+      container.insertAdjacentHTML('beforeend', renderProductRow(createProduct(nextType)));
+      updateRowControls();
+    });
+  }
+  
+  updateRowControls();
+}
+
+// Render the slip history list (newest first)
+function renderSlipHistory() {
+  const slips = getSlips();
+  if (slips.length === 0) {
+    return '';
+  }
+  
+  return `
+    <div class="slip-history">
+      <h4 class="slip-history-title">Slip History</h4>
+      <ul class="slip-history-list">
+        ${slips.slice().reverse().map((slip) => `
+          <li class="slip-history-item">
+            <div class="slip-history-header">
+              <span class="slip-history-date">${escapeHtml(formatDisplayDate(new Date(slip.date)))}</span>
+              <span class="slip-history-count">${escapeHtml(formatProductUnits(slip.product, parseInt(slip.count) || 0))}</span>
+            </div>
+            ${slip.note ? `<div class="slip-history-note">${escapeHtml(slip.note)}</div>` : ''}
+            ${slip.restartedStreak ? '<div class="slip-history-restart">Streak restarted</div>' : ''}
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+// Render the savings goals wishlist
+function renderSavingsGoals(quitDate, moneySaved) {
+  const { available, spent, goals } = calculateSavingsGoals(quitDate, moneySaved);
+  // Open goals first, then purchased ones
+  const sorted = goals.slice().sort((a, b) => Boolean(a.purchasedAt) - Boolean(b.purchasedAt));
+  
+  return `
+    <div class="savings-goals-header">
+      <div>
+        <h3 class="savings-goals-title">Savings Goals</h3>
+        <p class="savings-goals-subtitle">${escapeHtml(formatMoney(available))} available${spent > 0 ? ` &middot; ${escapeHtml(formatMoney(spent))} spent` : ''}</p>
+      </div>
+      <button class="btn-secondary savings-goal-add-btn" type="button" data-action="add" aria-label="Add a savings goal">+ Add goal</button>
+    </div>
+    ${sorted.length === 0 ? `
+      <p class="savings-goals-empty">Treat yourself with the money you're not burning. Add something you'd like to buy.</p>
+    ` : `
+      <ul class="savings-goals-list">
+        ${sorted.map((goal) => `
+          <li class="savings-goal${goal.purchasedAt ? ' savings-goal-purchased' : ''}${!goal.purchasedAt && goal.affordable ? ' savings-goal-affordable' : ''}">
+            <span class="savings-goal-emoji" aria-hidden="true">${escapeHtml(goal.emoji || DEFAULT_GOAL_EMOJI)}</span>
+            <div class="savings-goal-body">
+              <div class="savings-goal-header">
+                <span class="savings-goal-name">${escapeHtml(goal.name)}</span>
+                <span class="savings-goal-price">${escapeHtml(formatMoney(goal.price))}</span>
+              </div>
+              ${goal.purchasedAt ? `
+                <div class="savings-goal-status">Purchased ${escapeHtml(new Date(goal.purchasedAt).toLocaleDateString())}</div>
+              ` : `
+                <div class="savings-goal-bar" role="progressbar" aria-valuenow="${Math.round(goal.progress)}" aria-valuemin="0" aria-valuemax="100" aria-label="${escapeHtml(goal.name)} progress">
+                  <div class="savings-goal-fill" style="width: ${goal.progress}%"></div>
+                </div>
+                <div class="savings-goal-status">
+                  ${goal.affordable
+                    ? 'You can afford this now!'
+                    : goal.affordableOn
+                      ? `${Math.floor(goal.progress)}% &middot; Affordable on ${escapeHtml(goal.affordableOn.toLocaleDateString())}`
+                      : `${Math.floor(goal.progress)}%`}
+                </div>
+              `}
+            </div>
+            <div class="savings-goal-actions">
+              ${!goal.purchasedAt && goal.affordable ? `
+                <button class="savings-goal-btn" type="button" data-action="purchase" data-goal-id="${escapeHtml(goal.id)}" aria-label="Mark ${escapeHtml(goal.name)} as purchased">Bought it</button>
+              ` : ''}
+              <button class="savings-goal-btn savings-goal-delete" type="button" data-action="delete" data-goal-id="${escapeHtml(goal.id)}" aria-label="Delete ${escapeHtml(goal.name)}">&times;</button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `}
+  `;
+}
+
+// Refresh the savings goals section in place
+function updateSavingsGoals() {
+  const goalsEl = document.getElementById('savingsGoals');
+  const quitDate = getQuitDate();
+  if (!goalsEl || !quitDate) return;
+  goalsEl.innerHTML = renderSavingsGoals(quitDate, parseFloat(calculateStats(quitDate).moneySaved));
+}
+
+// Handle clicks on the savings goal buttons
+function handleSavingsGoalClick(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+  
+  const action = button.getAttribute('data-action');
+  const id = button.getAttribute('data-goal-id');
+  if (action === 'add') {
+    showSavingsGoalModal();
+  } else if (action === 'purchase') {
+    updateSavingsGoal(id, { purchasedAt: new Date().toISOString() });
+    updateSavingsGoals();
+  } else if (action === 'delete') {
+    saveSavingsGoals(getSavingsGoals().filter((goal) => goal.id !== id));
+    updateSavingsGoals();
+  }
+}
+
+// Get the first user-perceived character of a string (emoji can be several code points)
+function firstGrapheme(text) {
+  if (typeof Intl.Segmenter === 'function') {
+    const first = new Intl.Segmenter().segment(text)[Symbol.iterator]().next();
+    return first.done ? '' : first.value.segment;
+  }
+  return Array.from(text)[0] || '';
+}
+
+// Show the modal for adding a savings goal
+function showSavingsGoalModal() {
+  if (!document.body) return;
+  
+  const { modal, closeModal } = openFormModal('goal-modal-title', `
+    <h3 id="goal-modal-title">Add a Savings Goal</h3>
+    <p>What would you like to buy with the money you save?</p>
+    <div class="form-group">
+      <label for="goalName">Name:</label>
+      <input type="text" id="goalName" maxlength="${MAX_GOAL_NAME_LENGTH}" placeholder="e.g. New headphones">
+    </div>
+    <div class="form-group">
+      <label for="goalPrice">Price:</label>
+      <input type="number" id="goalPrice" min="0.01" max="${MAX_GOAL_PRICE}" step="0.01">
+    </div>
+    <div class="form-group">
+      <label for="goalEmoji">Emoji (optional):</label>
+      <input type="text" id="goalEmoji" maxlength="8" placeholder="${DEFAULT_GOAL_EMOJI}">
+    </div>
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Cancel</button>
+      <button class="btn-confirm" type="button">Add Goal</button>
+    </div>
+  `, 'goal-modal');
+  
+  const saveGoal = () => {
+    const name = modal.querySelector('#goalName').value.trim().replace(/[<>]/g, '').substring(0, MAX_GOAL_NAME_LENGTH);
+    const price = parseFloat(modal.querySelector('#goalPrice').value);
+    const emoji = modal.querySelector('#goalEmoji').value.trim().replace(/[<>]/g, '');
+    
+    if (!name) {
+      showErrorModal('Please give your goal a name.');
+      return;
+    }
+    if (isNaN(price) || price <= 0 || price > MAX_GOAL_PRICE) {
+      showErrorModal(`Please enter a valid price (up to ${formatMoney(MAX_GOAL_PRICE)}).`);
+      return;
+    }
+    
+    const goals = getSavingsGoals();
+    goals.push({
+      id: `goal-${Date.now()}`,
+      name,
+      price: Math.round(price * 100) / 100,
+      emoji: firstGrapheme(emoji),
+      createdAt: new Date().toISOString(),
+      purchasedAt: null
+    });
+    if (!saveSavingsGoals(goals)) return;
+    
+    closeModal();
+    updateSavingsGoals();
+  };
+  
+  modal.querySelector('.btn-confirm').addEventListener('click', saveGoal);
+  modal.querySelector('#goalName').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveGoal();
+  });
+  
+  setTimeout(() => modal.querySelector('#goalName').focus(), 100);
+}
+
+// Clear milestone, benefit and daily notification tracking
+function clearNotifiedItems() {
+  notifiedMilestones.clear();
+  notifiedBenefits.clear();
+  lastDailyNotification = null;
+  storage.setItems({ notifiedMilestones: null, notifiedBenefits: null, lastDailyNotification: null });
+  resetNotificationClaims();
+}
+
+// Forget what the service worker showed, then reschedule it for the current quit date
+// (so triggers set for an old quit date are cancelled)
+function resetNotificationClaims() {
+  return eventStoreReady
+    .then(() => eventStore.replaceAll('notifications', []))
+    .catch((error) => handleEventStoreError(error, 'clearing notifications'))
+    .then(syncNotificationSchedule);
+}
+
+// Close functions of the form dialogs that are open, so changing views can close them
+const openFormModals = new Set();
+
+// Open a form dialog on the shared modal overlay. Overlay clicks and Escape close it
+// (Escape is ignored while an error modal is showing on top of it). onClose runs once
+// however the dialog is closed.
+function openFormModal(labelledBy, innerHtml, className = '', onClose = null) {
+  const modal = document.createElement('div');
+  modal.className = 'reset-modal-overlay';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  modal.setAttribute('aria-labelledby', labelledBy);
+  modal.innerHTML = `<div class="reset-modal ${className}">${innerHtml}</div>`;
+  
+  // Prevent body scroll when modal is open
+  const originalOverflow = document.body.style.overflow;
+  const originalPaddingRight = document.body.style.paddingRight;
+  const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+  
+  if (scrollbarWidth > 0) {
+    document.body.style.paddingRight = `${scrollbarWidth}px`;
+  }
+  document.body.style.overflow = 'hidden';
+  
+  document.body.appendChild(modal);
+  modal.style.display = 'flex';
+  modal.style.position = 'fixed';
+  modal.style.zIndex = '10000';
+  
+  const closeModal = () => {
+    if (modal.classList.contains('closing')) return;
+    openFormModals.delete(closeModal);
+    document.removeEventListener('keydown', escapeHandler);
+    if (onClose) {
+      onClose();
+    }
+    modal.classList.add('closing');
+    document.body.style.overflow = originalOverflow || '';
+    document.body.style.paddingRight = originalPaddingRight || '';
+    setTimeout(() => {
+      if (modal.parentNode) {
+        modal.remove();
+      }
+    }, 200);
+  };
+  
+  // Close on overlay click
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  
+  const escapeHandler = (e) => {
+    if (e.key === 'Escape' && !document.querySelector('.error-modal-overlay')) {
+      closeModal();
+    }
+  };
+  document.addEventListener('keydown', escapeHandler);
+  
+  const cancelBtn = modal.querySelector('.btn-cancel');
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', closeModal);
+  }
+  
+  openFormModals.add(closeModal);
+  return { modal, closeModal };
+}
+
+// Bring the tracker up to date after a slip without rebuilding it. The components read
+// the quit date on each update, so they pick up a restarted streak too.
+function updateTrackerAfterSlip() {
+  const quitDate = getQuitDate();
+  const slipHistoryEl = document.getElementById('slipHistory');
+  if (!trackerView || !quitDate || !slipHistoryEl) return;
+  
+  const quitDateEl = document.querySelector('.quit-date');
+  if (quitDateEl) {
+    quitDateEl.textContent = formatDisplayDate(quitDate);
+  }
+  slipHistoryEl.innerHTML = renderSlipHistory();
+  updateCravingSummary();
+  // Updates the components now and restarts notification checking for a new streak
+  startTimer();
+}
+
+// Show slip logging modal
+function showSlipModal() {
+  const quitDate = getQuitDate();
+  if (!quitDate || !document.body) return;
+  
+  const products = getProducts();
+  const unitsLabel = (type) => `${capitalize(getProductProfile(type).unitPlural)} used:`;
+  const { modal, closeModal: closeSlipModal } = openFormModal('slip-modal-title', `
+    <h3 id="slip-modal-title">Log a Slip</h3>
+    <p>A slip doesn't erase your progress. Record it honestly and keep going.</p>
+    <div class="form-group">
+      <label for="slipDate">When:</label>
+      <input type="datetime-local" id="slipDate" value="${toDateTimeLocalValue(new Date())}">
+    </div>
+    <div class="form-group"${products.length > 1 ? '' : ' hidden'}>
+      <label for="slipProduct">Product:</label>
+      <select id="slipProduct">
+        ${products.map((product) => `
+          <option value="${product.type}">${escapeHtml(getProductProfile(product.type).label)}</option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label for="slipCount" id="slipCountLabel">${escapeHtml(unitsLabel(products[0].type))}</label>
+      <input type="number" id="slipCount" value="1" min="1" max="200">
+    </div>
+    <div class="form-group">
+      <label for="slipNote">Note (optional):</label>
+      <textarea id="slipNote" rows="2" maxlength="${MAX_SLIP_NOTE_LENGTH}" placeholder="What happened?"></textarea>
+    </div>
+    <div class="form-group slip-streak-options">
+      <label class="form-choice">
+        <input type="radio" name="slipStreak" value="keep" checked>
+        Keep my streak
+      </label>
+      <label class="form-choice">
+        <input type="radio" name="slipStreak" value="restart">
+        Restart my streak from this slip
+      </label>
+    </div>
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Cancel</button>
+      <button class="btn-confirm" type="button">Save</button>
+    </div>
+  `, 'slip-modal');
+  
+  const productSelect = modal.querySelector('#slipProduct');
+  productSelect.addEventListener('change', () => {
+    modal.querySelector('#slipCountLabel').textContent = unitsLabel(productSelect.value);
+  });
+  
+  const saveSlip = () => {
+    const slipDate = new Date(modal.querySelector('#slipDate').value);
+    if (isNaN(slipDate.getTime())) {
+      showErrorModal('Please choose when the slip happened.');
+      return;
+    }
+    if (slipDate > new Date()) {
+      showErrorModal('A slip cannot be logged in the future.');
+      return;
+    }
+    // Slips count from after the quit date, so one at the quit date itself would never count
+    if (slipDate <= quitDate) {
+      showErrorModal('A slip must be logged after your quit date.');
+      return;
+    }
+    
+    const count = parseInt(modal.querySelector('#slipCount').value);
+    if (isNaN(count) || count < 1 || count > 200) {
+      showErrorModal('Please enter a valid amount (1-200).');
+      return;
+    }
+    
+    // Sanitize note - remove HTML tags and limit length
+    const note = modal.querySelector('#slipNote').value.trim().substring(0, MAX_SLIP_NOTE_LENGTH).replace(/[<>]/g, '');
+    const restartedStreak = modal.querySelector('input[name="slipStreak"]:checked')?.value === 'restart';
+    
+    const product = products.some((item) => item.type === productSelect.value) ? productSelect.value : products[0].type;
+    
+    if (!addSlip({ date: slipDate.toISOString(), count, product, note, restartedStreak })) {
+      showErrorModal('Unable to save slip. Please try again.');
+      return;
+    }
+    
+    if (restartedStreak) {
+      // The new streak starts at the slip; milestones can be earned again
+      archiveCurrentAttempt(slipDate);
+      setQuitDate(slipDate);
+      clearNotifiedItems();
+      stopNotificationChecking();
+    }
+    
+    closeSlipModal();
+    updateTrackerAfterSlip();
+  };
+  
+  modal.querySelector('.btn-confirm').addEventListener('click', saveSlip);
+  
+  setTimeout(() => modal.querySelector('#slipCount').focus(), 100);
+}
+
+// Render the craving summary line for the current attempt
+function renderCravingSummary(quitDate) {
+  const summary = getCravingSummary(quitDate);
+  const parts = [];
+  if (summary.total > 0) {
+    parts.push(`${summary.resisted} of ${summary.total} craving${summary.total !== 1 ? 's' : ''} resisted`);
+  }
+  if (summary.beatenWithSos > 0) {
+    parts.push(`${summary.beatenWithSos} beaten with SOS`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'Log cravings to learn what triggers them';
+}
+
+// Refresh the craving summary line and analytics if the tracker is showing
+function updateCravingSummary() {
+  const quitDate = getQuitDate();
+  if (!quitDate) return;
+  
+  const summaryEl = document.getElementById('cravingSummary');
+  if (summaryEl) {
+    summaryEl.textContent = renderCravingSummary(quitDate);
+  }
+  const analyticsEl = document.getElementById('cravingAnalytics');
+  if (analyticsEl) {
+    analyticsEl.innerHTML = renderCravingAnalytics(quitDate);
+  }
+}
+
+// Format an hour of the day (0-23) as "9 AM"
+function formatHour(hour) {
+  const ampm = hour >= 12 ? 'PM' : 'AM';
+  return `${hour % 12 || 12} ${ampm}`;
+}
+
+// Aggregate cravings since the quit date by hour/weekday, trigger and day
+function calculateCravingAnalytics(quitDate) {
+  const now = new Date();
+  const cravings = getCravings()
+    .map((craving) => ({ ...craving, date: new Date(craving.date) }))
+    .filter((craving) => !isNaN(craving.date.getTime()) && craving.date >= quitDate && craving.date <= now);
+  
+  // 7 rows (Monday first) x 24 hours
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const hourTotals = new Array(24).fill(0);
+  const triggerCounts = {};
+  
+  // One bucket per local calendar day since the quit date
+  const startDay = new Date(quitDate.getFullYear(), quitDate.getMonth(), quitDate.getDate());
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dayCount = Math.round((today - startDay) / (1000 * 60 * 60 * 24)) + 1;
+  const daily = new Array(Math.max(1, dayCount)).fill(0);
+  
+  cravings.forEach((craving) => {
+    const weekday = (craving.date.getDay() + 6) % 7;
+    const hour = craving.date.getHours();
+    heatmap[weekday][hour]++;
+    hourTotals[hour]++;
+    
+    // Triggers the app doesn't know (e.g. from an old backup) count as untagged
+    const triggerKey = CRAVING_TRIGGERS.some((trigger) => trigger.id === craving.trigger) ? craving.trigger : 'untagged';
+    triggerCounts[triggerKey] = (triggerCounts[triggerKey] || 0) + 1;
+    
+    const day = new Date(craving.date.getFullYear(), craving.date.getMonth(), craving.date.getDate());
+    const dayIndex = Math.round((day - startDay) / (1000 * 60 * 60 * 24));
+    if (dayIndex >= 0 && dayIndex < daily.length) {
+      daily[dayIndex]++;
+    }
+  });
+  
+  const triggers = [...CRAVING_TRIGGERS, { id: 'untagged', label: 'Untagged' }]
+    .map((trigger) => ({ ...trigger, count: triggerCounts[trigger.id] || 0 }))
+    .filter((trigger) => trigger.count > 0)
+    .sort((a, b) => b.count - a.count);
+  
+  const peakHours = hourTotals
+    .map((count, hour) => ({ hour, count }))
+    .filter((entry) => entry.count > 0)
+    .sort((a, b) => b.count - a.count || a.hour - b.hour)
+    .slice(0, 3)
+    .map((entry) => entry.hour)
+    .sort((a, b) => a - b);
+  
+  return {
+    total: cravings.length,
+    heatmap,
+    heatmapMax: Math.max(0, ...heatmap.flat()),
+    triggers,
+    daily,
+    startDay,
+    peakHours
+  };
+}
+
+// Render the craving analytics section (heatmap, trigger breakdown, daily trend)
+function renderCravingAnalytics(quitDate) {
+  const analytics = calculateCravingAnalytics(quitDate);
+  if (analytics.total === 0) {
+    return '';
+  }
+  
+  const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const cell = 14;
+  const gap = 2;
+  const labelWidth = 30;
+  const headerHeight = 14;
+  const heatmapWidth = labelWidth + 24 * (cell + gap);
+  const heatmapHeight = headerHeight + 7 * (cell + gap);
+  
+  const heatmapSvg = `
+    <svg class="craving-heatmap" viewBox="0 0 ${heatmapWidth} ${heatmapHeight}" role="img" aria-label="Cravings by hour of day and weekday">
+      ${[0, 3, 6, 9, 12, 15, 18, 21].map((hour) => `
+        <text class="chart-label" x="${labelWidth + hour * (cell + gap)}" y="10">${hour}</text>
+      `).join('')}
+      ${analytics.heatmap.map((row, dayIndex) => `
+        <text class="chart-label" x="0" y="${headerHeight + dayIndex * (cell + gap) + cell - 3}">${weekdays[dayIndex]}</text>
+        ${row.map((count, hour) => `
+          <rect x="${labelWidth + hour * (cell + gap)}" y="${headerHeight + dayIndex * (cell + gap)}" width="${cell}" height="${cell}" rx="2"
+            fill="${count === 0 ? '#F0F0F0' : `rgba(255, 107, 53, ${(0.2 + 0.8 * count / analytics.heatmapMax).toFixed(2)})`}">
+            <title>${weekdays[dayIndex]} ${formatHour(hour)}: ${count} craving${count !== 1 ? 's' : ''}</title>
+          </rect>
+        `).join('')}
+      `).join('')}
+    </svg>
+  `;
+  
+  const barHeight = 16;
+  const barGap = 6;
+  const barLabelWidth = 80;
+  const barMaxWidth = 200;
+  const triggerMax = analytics.triggers.length > 0 ? analytics.triggers[0].count : 1;
+  const triggerSvg = `
+    <svg class="craving-triggers-chart" viewBox="0 0 ${barLabelWidth + barMaxWidth + 30} ${analytics.triggers.length * (barHeight + barGap)}" role="img" aria-label="Cravings by trigger">
+      ${analytics.triggers.map((trigger, index) => `
+        <text class="chart-label" x="0" y="${index * (barHeight + barGap) + barHeight - 4}">${escapeHtml(trigger.label)}</text>
+        <rect x="${barLabelWidth}" y="${index * (barHeight + barGap)}" width="${Math.max(2, (trigger.count / triggerMax) * barMaxWidth)}" height="${barHeight}" rx="3" fill="#FF6B35"></rect>
+        <text class="chart-label" x="${barLabelWidth + Math.max(2, (trigger.count / triggerMax) * barMaxWidth) + 4}" y="${index * (barHeight + barGap) + barHeight - 4}">${trigger.count}</text>
+      `).join('')}
+    </svg>
+  `;
+  
+  const trendWidth = 300;
+  const trendHeight = 80;
+  const trendMax = Math.max(1, ...analytics.daily);
+  const stepX = analytics.daily.length > 1 ? trendWidth / (analytics.daily.length - 1) : 0;
+  const points = analytics.daily
+    .map((count, index) => `${(index * stepX).toFixed(1)},${(trendHeight - (count / trendMax) * (trendHeight - 4)).toFixed(1)}`)
+    .join(' ');
+  const trendSvg = `
+    <svg class="craving-trend" viewBox="0 -4 ${trendWidth} ${trendHeight + 20}" role="img" aria-label="Daily craving count since your quit date">
+      <line x1="0" y1="${trendHeight}" x2="${trendWidth}" y2="${trendHeight}" stroke="#E8E8E8"></line>
+      <polyline points="${points}" fill="none" stroke="#FF6B35" stroke-width="2" stroke-linejoin="round"></polyline>
+      <text class="chart-label" x="0" y="${trendHeight + 14}">${escapeHtml(analytics.startDay.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }))}</text>
+      <text class="chart-label" x="${trendWidth}" y="${trendHeight + 14}" text-anchor="end">Today</text>
+      <text class="chart-label" x="${trendWidth}" y="6" text-anchor="end">max ${trendMax}/day</text>
+    </svg>
+  `;
+  
+  const peakText = analytics.peakHours.map(formatHour);
+  const peakList = peakText.length > 1
+    ? `${peakText.slice(0, -1).join(', ')} and ${peakText[peakText.length - 1]}`
+    : peakText[0];
+  
+  return `
+    <p class="craving-analytics-insight">Be ready around <strong>${escapeHtml(peakList)}</strong> &ndash; that's when your cravings hit most.</p>
+    <div class="craving-analytics-card">
+      <div class="craving-analytics-label">When cravings happen</div>
+      ${heatmapSvg}
+    </div>
+    ${analytics.triggers.length > 0 ? `
+      <div class="craving-analytics-card">
+        <div class="craving-analytics-label">Triggers</div>
+        ${triggerSvg}
+      </div>
+    ` : ''}
+    <div class="craving-analytics-card">
+      <div class="craving-analytics-label">Cravings per day</div>
+      ${trendSvg}
+    </div>
+  `;
+}
+
+// Show full-screen guided craving-surf (SOS) mode with a breathing pacer
+function showSosMode() {
+  if (!document.body) return;
+  
+  let sosInterval = null;
+  const stopSosTimer = () => {
+    if (sosInterval) {
+      clearInterval(sosInterval);
+      sosInterval = null;
+    }
+  };
+  
+  const { modal, closeModal } = openFormModal('sos-modal-title', `
+    <h3 id="sos-modal-title">Ride the Wave</h3>
+    <p class="sos-intro">Cravings peak and fade within minutes. Breathe with the circle until the timer ends.</p>
+    <div class="sos-patterns" role="radiogroup" aria-label="Breathing pattern">
+      ${Object.entries(BREATHING_PATTERNS).map(([id, pattern], index) => `
+        <button class="sos-pattern-btn${index === 0 ? ' active' : ''}" type="button" role="radio" aria-checked="${index === 0}" data-pattern="${id}">${escapeHtml(pattern.label)}</button>
+      `).join('')}
+    </div>
+    <div class="sos-session">
+      <div class="sos-breathing">
+        <div class="sos-breathing-circle" id="sosBreathingCircle"></div>
+        <div class="sos-breathing-text">
+          <div class="sos-phase-label" id="sosPhaseLabel" aria-live="polite">Breathe in</div>
+          <div class="sos-phase-count" id="sosPhaseCount"></div>
         </div>
-        
-        <div class="health-benefits-section">
-          <h3 class="benefits-title">Health Benefits</h3>
-          <div class="benefits-grid">
-            ${healthBenefits.map((benefit, index) => `
-              <div class="benefit-card" data-benefit-index="${index}" role="button" tabindex="0" aria-expanded="false" aria-label="${escapeHtml(benefit.name)} - ${escapeHtml(benefit.timeframe)}">
-                <div class="benefit-main">
-                  <div class="benefit-header">
-                    <div class="benefit-name">${escapeHtml(benefit.name)}</div>
-                    <div class="benefit-percentage" id="benefitPercentage${index}">${benefit.progress}%</div>
-                  </div>
-                  <div class="benefit-timeframe">${escapeHtml(benefit.timeframe)}</div>
-                  <div class="benefit-progress-bar">
-                    <div class="benefit-progress-fill" id="benefitProgressFill${index}" style="width: ${benefit.progress}%"></div>
-                  </div>
-                </div>
-                <div class="benefit-details" id="benefitDetails${index}">
-                  <div class="benefit-details-content">${escapeHtml(benefit.details)}</div>
-                </div>
-              </div>
-            `).join('')}
-          </div>
-        </div>
-        
-        <div class="footer-section">
-          <div class="footer-content">
-            <p class="footer-thankyou">Thank you for choosing to quit smoking.</p>
-            <p class="footer-supported">Supported by WHO and health organizations worldwide.</p>
-            <p class="footer-note">Based on scientific research. Consult your healthcare provider for personalized advice.</p>
-          </div>
+      </div>
+      <div class="sos-countdown" id="sosCountdown">5:00</div>
+      <div class="reset-modal-buttons sos-buttons">
+        <button class="btn-cancel" type="button">Close</button>
+        <button class="btn-confirm" id="sosFinishBtn" type="button">I'm done</button>
+      </div>
     </div>
-  </div>
-    `;
-    
-    // Start updating timer
-    startTimer();
+    <div class="sos-outcome" hidden>
+      <p class="sos-outcome-question" id="sosOutcomeQuestion">Did the craving pass?</p>
+      <div class="reset-modal-buttons sos-outcome-buttons">
+        <button class="btn-cancel" id="sosNotPassedBtn" type="button">Not yet</button>
+        <button class="btn-confirm" id="sosPassedBtn" type="button">Yes, it passed</button>
+      </div>
+      <div class="reset-modal-buttons sos-retry-buttons" hidden>
+        <button class="btn-cancel" id="sosCloseBtn" type="button">Close</button>
+        <button class="btn-confirm" id="sosRetryBtn" type="button">Another round</button>
+      </div>
+    </div>
+  `, 'sos-modal', stopSosTimer);
+  
+  const circleEl = modal.querySelector('#sosBreathingCircle');
+  const phaseLabelEl = modal.querySelector('#sosPhaseLabel');
+  const phaseCountEl = modal.querySelector('#sosPhaseCount');
+  const countdownEl = modal.querySelector('#sosCountdown');
+  const sessionEl = modal.querySelector('.sos-session');
+  const outcomeEl = modal.querySelector('.sos-outcome');
+  
+  let patternId = Object.keys(BREATHING_PATTERNS)[0];
+  let startTime = 0;
+  let patternStartTime = 0;
+  let lastPhaseIndex = -1;
+  
+  const showOutcome = () => {
+    stopSosTimer();
+    sessionEl.hidden = true;
+    outcomeEl.hidden = false;
+    modal.querySelector('#sosPassedBtn').focus();
+  };
+  
+  function update() {
+    const now = Date.now();
+    const elapsedSeconds = Math.floor((now - startTime) / 1000);
+    const remaining = Math.max(0, SOS_DURATION_SECONDS - elapsedSeconds);
+    countdownEl.textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
     
-    // Start rotating tips
-    startTipRotation();
+    if (remaining === 0) {
+      showOutcome();
+      return;
+    }
     
-    // Attach event listeners (replacing onclick handlers)
-    const resetBtn = document.getElementById('resetBtn');
-    if (resetBtn) {
-      resetBtn.addEventListener('click', resetTracker);
-      resetBtn.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          resetTracker();
-        }
-      });
+    // Find where we are in the breathing cycle
+    const phases = BREATHING_PATTERNS[patternId].phases;
+    const cycleSeconds = phases.reduce((total, phase) => total + phase.seconds, 0);
+    let cycleOffset = Math.floor((now - patternStartTime) / 1000) % cycleSeconds;
+    let phaseIndex = 0;
+    while (cycleOffset >= phases[phaseIndex].seconds) {
+      cycleOffset -= phases[phaseIndex].seconds;
+      phaseIndex++;
     }
+    const phase = phases[phaseIndex];
     
-    // Attach event listeners to benefit cards
-    const benefitCards = document.querySelectorAll('.benefit-card');
-    benefitCards.forEach((card) => {
-      const index = parseInt(card.getAttribute('data-benefit-index'));
-      card.addEventListener('click', () => toggleBenefitDetails(index));
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          toggleBenefitDetails(index);
-        }
-      });
+    // Animate the circle over the whole phase when it starts
+    if (phaseIndex !== lastPhaseIndex) {
+      lastPhaseIndex = phaseIndex;
+      phaseLabelEl.textContent = phase.label;
+      circleEl.style.transitionDuration = `${phase.seconds}s`;
+      circleEl.classList.toggle('expanded', phase.expand);
+    }
+    phaseCountEl.textContent = phase.seconds - cycleOffset;
+  }
+  
+  const startSession = () => {
+    stopSosTimer();
+    startTime = Date.now();
+    patternStartTime = startTime;
+    lastPhaseIndex = -1;
+    sessionEl.hidden = false;
+    outcomeEl.hidden = true;
+    modal.querySelector('.sos-outcome-buttons').hidden = false;
+    modal.querySelector('.sos-retry-buttons').hidden = true;
+    modal.querySelector('#sosOutcomeQuestion').textContent = 'Did the craving pass?';
+    update();
+    sosInterval = setInterval(update, 1000);
+  };
+  
+  const recordOutcome = (passed) => {
+    addSosSession({
+      date: new Date(startTime).toISOString(),
+      pattern: patternId,
+      durationSeconds: Math.min(SOS_DURATION_SECONDS, Math.round((Date.now() - startTime) / 1000)),
+      passed
     });
-    
-    // Attach event listeners to water intake buttons
-    const waterAddButtons = document.querySelectorAll('.water-add-btn');
-    waterAddButtons.forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const amountStr = btn.getAttribute('data-amount');
-        const amount = parseInt(amountStr);
-        if (isNaN(amount) || amount <= 0) {
-          if (import.meta.env.DEV) {
-            console.error('Invalid water amount:', amountStr);
-          }
-          return;
-        }
-        const newIntake = addWaterIntake(amount);
-        updateWaterIntakeDisplay();
-        
-        // Check if goal reached
-        const goal = getWaterGoal();
-        if (newIntake >= goal && goal > 0) {
-          showNotification('Water Goal Achieved!', {
-            body: `Congratulations! You've reached your daily water intake goal of ${(goal / 1000).toFixed(1)}L!`,
-            tag: 'water-goal-achieved',
-            vibrate: [200, 100, 200]
-          });
-        }
+    updateCravingSummary();
+  };
+  
+  modal.querySelectorAll('.sos-pattern-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      patternId = btn.getAttribute('data-pattern');
+      modal.querySelectorAll('.sos-pattern-btn').forEach((other) => {
+        other.classList.toggle('active', other === btn);
+        other.setAttribute('aria-checked', (other === btn).toString());
       });
+      // Restart the breathing cycle with the new pattern, keep the countdown going
+      patternStartTime = Date.now();
+      lastPhaseIndex = -1;
+      if (sosInterval) {
+        update();
+      }
+    });
+  });
+  
+  modal.querySelector('#sosFinishBtn').addEventListener('click', showOutcome);
+  modal.querySelector('#sosPassedBtn').addEventListener('click', () => {
+    recordOutcome(true);
+    closeModal();
+  });
+  modal.querySelector('#sosNotPassedBtn').addEventListener('click', () => {
+    recordOutcome(false);
+    modal.querySelector('#sosOutcomeQuestion').textContent = 'That\'s okay. Cravings come in waves. Want to ride another one out?';
+    modal.querySelector('.sos-outcome-buttons').hidden = true;
+    modal.querySelector('.sos-retry-buttons').hidden = false;
+    modal.querySelector('#sosRetryBtn').focus();
+  });
+  modal.querySelector('#sosRetryBtn').addEventListener('click', startSession);
+  modal.querySelector('#sosCloseBtn').addEventListener('click', closeModal);
+  
+  startSession();
+}
+
+// Show craving logging modal
+function showCravingModal() {
+  const quitDate = getQuitDate();
+  if (!quitDate || !document.body) return;
+  
+  const { modal, closeModal } = openFormModal('craving-modal-title', `
+    <h3 id="craving-modal-title">Having a Craving?</h3>
+    <p>Cravings pass in a few minutes. Tap save to log this one and spot your patterns.</p>
+    <div class="form-group">
+      <label for="cravingIntensity">Intensity: <span id="cravingIntensityValue">5</span>/10</label>
+      <input type="range" id="cravingIntensity" min="1" max="10" step="1" value="5">
+    </div>
+    <div class="form-group">
+      <label>Trigger (optional):</label>
+      <div class="craving-triggers">
+        <label class="craving-trigger">
+          <input type="radio" name="cravingTrigger" value="" checked>
+          <span>No tag</span>
+        </label>
+        ${CRAVING_TRIGGERS.map((trigger) => `
+          <label class="craving-trigger">
+            <input type="radio" name="cravingTrigger" value="${trigger.id}">
+            <span>${escapeHtml(trigger.label)}</span>
+          </label>
+        `).join('')}
+      </div>
+      <input type="text" id="cravingCustomTrigger" class="craving-custom-trigger" maxlength="${MAX_CUSTOM_TRIGGER_LENGTH}" placeholder="What triggered it?" hidden>
+    </div>
+    <div class="form-group">
+      <label class="form-choice">
+        <input type="radio" name="cravingOutcome" value="resisted" checked>
+        I resisted it
+      </label>
+      <label class="form-choice">
+        <input type="radio" name="cravingOutcome" value="smoked">
+        I smoked
+      </label>
+    </div>
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Cancel</button>
+      <button class="btn-confirm" type="button">Save</button>
+    </div>
+  `, 'craving-modal');
+  
+  const intensityInput = modal.querySelector('#cravingIntensity');
+  const intensityValue = modal.querySelector('#cravingIntensityValue');
+  const customTriggerInput = modal.querySelector('#cravingCustomTrigger');
+  
+  intensityInput.addEventListener('input', () => {
+    intensityValue.textContent = intensityInput.value;
+  });
+  
+  // Only ask for a custom trigger when "Custom" is selected
+  modal.querySelectorAll('input[name="cravingTrigger"]').forEach((radio) => {
+    radio.addEventListener('change', () => {
+      customTriggerInput.hidden = radio.value !== 'custom';
+      if (!customTriggerInput.hidden) {
+        customTriggerInput.focus();
+      }
     });
+  });
+  
+  const saveCraving = () => {
+    const intensity = parseInt(intensityInput.value);
+    if (isNaN(intensity) || intensity < 1 || intensity > 10) {
+      showErrorModal('Please choose an intensity between 1 and 10.');
+      return;
+    }
     
-    // Attach event listener to water goal edit button
-    const waterGoalEditBtn = document.getElementById('waterGoalEditBtn');
-    if (waterGoalEditBtn) {
-      waterGoalEditBtn.addEventListener('click', editWaterGoal);
+    // The trigger tag is optional
+    const trigger = modal.querySelector('input[name="cravingTrigger"]:checked')?.value || null;
+    if (trigger && !CRAVING_TRIGGERS.some((t) => t.id === trigger)) {
+      showErrorModal('Please choose what triggered the craving.');
+      return;
     }
-  }
+    
+    // Sanitize custom trigger - remove HTML tags and limit length
+    const customTrigger = customTriggerInput.value.trim().substring(0, MAX_CUSTOM_TRIGGER_LENGTH).replace(/[<>]/g, '');
+    if (trigger === 'custom' && !customTrigger) {
+      showErrorModal('Please describe what triggered the craving.');
+      return;
+    }
+    
+    const craving = {
+      date: new Date().toISOString(),
+      intensity,
+      trigger,
+      resisted: modal.querySelector('input[name="cravingOutcome"]:checked')?.value !== 'smoked'
+    };
+    if (trigger === 'custom') {
+      craving.customTrigger = customTrigger;
+    }
+    
+    if (!addCraving(craving)) {
+      showErrorModal('Unable to save craving. Please try again.');
+      return;
+    }
+    
+    updateCravingSummary();
+    closeModal();
+  };
+  
+  modal.querySelector('.btn-confirm').addEventListener('click', saveCraving);
+  
+  setTimeout(() => intensityInput.focus(), 100);
 }
 
-// Update water intake display
-function updateWaterIntakeDisplay() {
-  const intake = getTodayWaterIntake();
-  const goal = getWaterGoal();
-  const percentage = goal > 0 ? Math.min(100, (intake / goal) * 100) : 0;
-  
-  const amountEl = document.getElementById('waterIntakeAmount');
-  const goalEl = document.getElementById('waterIntakeGoal');
-  const progressFillEl = document.getElementById('waterIntakeProgressFill');
+// Log a water entry and refresh the water card; notifies when the daily goal is reached
+async function logWater(amount) {
+  const previousIntake = getTodayWaterIntake();
+  const newIntake = await addWaterIntake(amount);
+  updateWaterCard();
   
-  if (amountEl) {
-    amountEl.textContent = `${(intake / 1000).toFixed(1)}L`;
-  }
-  if (goalEl) {
-    goalEl.textContent = `/ ${(goal / 1000).toFixed(1)}L`;
-  }
-  if (progressFillEl) {
-    progressFillEl.style.width = `${percentage}%`;
+  // Check if goal reached
+  const goal = getWaterGoal();
+  if (goal > 0 && previousIntake < goal && newIntake >= goal && getNotificationPrefs().water) {
+    showNotification('Water Goal Achieved!', {
+      body: `Congratulations! You've reached your daily water intake goal of ${formatWaterTotal(goal)}!`,
+      tag: 'water-goal-achieved',
+      vibrate: [200, 100, 200]
+    });
   }
 }
 
-// Edit water goal
-function editWaterGoal() {
-  const currentGoal = getWaterGoal();
-  const goalInLiters = (currentGoal / 1000).toFixed(1);
+// Render the water history chart (daily totals against the goal) and goal streaks
+function renderWaterHistory({ history, currentStreak, longestStreak }, goal) {
+  const chartWidth = 300;
+  const chartHeight = 80;
+  const slot = chartWidth / history.length;
+  const barWidth = Math.max(2, slot - 2);
+  const maxTotal = Math.max(goal, ...history.map((day) => day.total));
+  const goalY = chartHeight - (goal / maxTotal) * chartHeight;
+  const formatDay = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   
-  // Create custom modal for water goal input
-  const modalOverlay = document.createElement('div');
-  modalOverlay.className = 'error-modal-overlay';
-  modalOverlay.setAttribute('role', 'dialog');
-  modalOverlay.setAttribute('aria-modal', 'true');
-  modalOverlay.setAttribute('aria-labelledby', 'water-goal-modal-title');
+  const streakText = currentStreak > 0
+    ? `Goal hit ${currentStreak} day${currentStreak !== 1 ? 's' : ''} in a row`
+    : 'Reach your goal today to start a streak';
   
-  modalOverlay.innerHTML = `
-    <div class="error-modal">
-      <h3 id="water-goal-modal-title">Set Water Intake Goal</h3>
-      <p style="margin: 0.5rem 0; color: #666; font-size: 0.9em;">Recommended: 2-3L per day</p>
-      <input type="number" id="waterGoalInput" value="${goalInLiters}" min="0.5" max="10" step="0.1" style="width: 100%; padding: 0.5rem; margin: 1rem 0; border: 1px solid #E8E8E8; border-radius: 4px; font-size: 1em;" placeholder="Enter goal in liters">
-      <div style="display: flex; gap: 0.5rem; margin-top: 1rem;">
-        <button class="btn-primary" id="waterGoalSaveBtn" style="flex: 1;">Save</button>
-        <button class="btn-secondary" id="waterGoalCancelBtn" style="flex: 1;">Cancel</button>
+  return `
+    <div class="water-history-header">
+      <div class="craving-analytics-label">Water history</div>
+      <div class="water-history-ranges" role="radiogroup" aria-label="History range">
+        ${WATER_HISTORY_RANGES.map((days) => `
+          <button class="water-range-btn${days === waterHistoryDays ? ' active' : ''}" type="button" role="radio" aria-checked="${days === waterHistoryDays}" data-water-range="${days}">${days} days</button>
+        `).join('')}
       </div>
     </div>
+    <svg class="water-history-chart" viewBox="0 -4 ${chartWidth} ${chartHeight + 20}" role="img" aria-label="Daily water intake for the last ${history.length} days">
+      ${history.map((day, index) => {
+        const height = (day.total / maxTotal) * chartHeight;
+        return `
+          <rect x="${(index * slot + (slot - barWidth) / 2).toFixed(1)}" y="${(chartHeight - height).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" rx="2"
+            fill="${day.total >= goal ? '#4A90E2' : '#BCD6F5'}">
+            <title>${escapeHtml(formatDay(day.date))}: ${escapeHtml(formatWaterTotal(day.total))}</title>
+          </rect>
+        `;
+      }).join('')}
+      <line x1="0" y1="${goalY.toFixed(1)}" x2="${chartWidth}" y2="${goalY.toFixed(1)}" stroke="#FF6B35" stroke-dasharray="4 3"></line>
+      <text class="chart-label" x="${chartWidth}" y="${(goalY - 3).toFixed(1)}" text-anchor="end">goal</text>
+      <text class="chart-label" x="0" y="${chartHeight + 14}">${escapeHtml(formatDay(history[0].date))}</text>
+      <text class="chart-label" x="${chartWidth}" y="${chartHeight + 14}" text-anchor="end">Today</text>
+    </svg>
+    <p class="water-streak">${streakText} &middot; Best: ${longestStreak} day${longestStreak !== 1 ? 's' : ''}</p>
   `;
+}
+
+// Show the custom water amount modal
+function showCustomWaterModal() {
+  if (!document.body) return;
   
-  document.body.appendChild(modalOverlay);
-  document.body.style.overflow = 'hidden';
+  const unit = getWaterUnit();
+  const { modal, closeModal } = openFormModal('water-custom-modal-title', `
+    <h3 id="water-custom-modal-title">Add Water</h3>
+    <div class="form-group">
+      <label for="waterCustomAmount">Amount (${escapeHtml(getWaterUnitSuffix(2, unit).trim())}):</label>
+      <input type="number" id="waterCustomAmount" min="${WATER_UNITS[unit].step}" max="${toWaterUnit(MAX_WATER_ENTRY_ML, unit)}" step="${WATER_UNITS[unit].step}" placeholder="e.g. ${toWaterUnit(330, unit)}">
+    </div>
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Cancel</button>
+      <button class="btn-confirm" type="button">Add</button>
+    </div>
+  `, 'water-custom-modal');
+  
+  const input = modal.querySelector('#waterCustomAmount');
+  const saveAmount = () => {
+    const amount = fromWaterUnit(parseFloat(input.value), unit);
+    if (isNaN(amount) || amount < 1 || amount > MAX_WATER_ENTRY_ML) {
+      showErrorModal(`Please enter an amount up to ${formatWaterAmount(MAX_WATER_ENTRY_ML, unit)}.`);
+      return;
+    }
+    closeModal();
+    logWater(amount);
+  };
+  
+  modal.querySelector('.btn-confirm').addEventListener('click', saveAmount);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveAmount();
+  });
+  
+  setTimeout(() => input.focus(), 100);
+}
+
+// Edit water goal, with an optional calculator based on body weight and activity
+function editWaterGoal() {
+  if (!document.body) return;
   
-  const input = document.getElementById('waterGoalInput');
-  const saveBtn = document.getElementById('waterGoalSaveBtn');
-  const cancelBtn = document.getElementById('waterGoalCancelBtn');
+  const unit = getWaterUnit();
+  const { step, weightUnit } = WATER_UNITS[unit];
+  const unitName = getWaterUnitSuffix(2, unit).trim();
   
-  input.focus();
-  input.select();
+  const { modal, closeModal } = openFormModal('water-goal-modal-title', `
+    <h3 id="water-goal-modal-title">Set Water Intake Goal</h3>
+    <p>Recommended: ${escapeHtml(formatWaterTotal(2000, unit))}&ndash;${escapeHtml(formatWaterTotal(3000, unit))} per day</p>
+    <div class="form-group">
+      <label for="waterGoalInput">Daily goal (${escapeHtml(unit === 'ml' ? 'L' : unitName)}):</label>
+      <input type="number" id="waterGoalInput" value="${unit === 'ml' ? (getWaterGoal() / 1000).toFixed(1) : toWaterUnit(getWaterGoal(), unit)}" step="${unit === 'ml' ? 0.1 : step}">
+    </div>
+    <details class="water-goal-calculator">
+      <summary>Suggest a goal for me</summary>
+      <div class="form-group">
+        <label for="waterGoalWeight">Body weight (${weightUnit}):</label>
+        <input type="number" id="waterGoalWeight" min="1" step="any">
+      </div>
+      <div class="form-group">
+        <label for="waterGoalActivity">Activity level:</label>
+        <select id="waterGoalActivity">
+          ${Object.entries(WATER_ACTIVITY_LEVELS).map(([id, level]) => `
+            <option value="${id}">${escapeHtml(level.label)}</option>
+          `).join('')}
+        </select>
+      </div>
+      <button class="btn-secondary" id="waterGoalSuggestBtn" type="button">Suggest goal</button>
+      <p class="form-hint water-goal-suggestion" id="waterGoalSuggestion" aria-live="polite"></p>
+    </details>
+    <div class="reset-modal-buttons">
+      <button class="btn-cancel" type="button">Cancel</button>
+      <button class="btn-confirm" type="button">Save</button>
+    </div>
+  `, 'water-goal-modal');
   
-  const closeModal = () => {
-    document.body.removeChild(modalOverlay);
-    document.body.style.overflow = '';
-  };
+  const input = modal.querySelector('#waterGoalInput');
+  // Metric goals are entered in litres, other units as they are shown
+  const readGoalMl = () => (unit === 'ml' ? Math.round(parseFloat(input.value) * 1000) : fromWaterUnit(parseFloat(input.value), unit));
+  
+  modal.querySelector('#waterGoalSuggestBtn').addEventListener('click', () => {
+    const weight = parseFloat(modal.querySelector('#waterGoalWeight').value);
+    const weightKg = weightUnit === 'lb' ? weight * KG_PER_LB : weight;
+    if (isNaN(weightKg) || weightKg < 20 || weightKg > 300) {
+      showErrorModal(`Please enter a valid body weight (${weightUnit === 'lb' ? '45-660 lb' : '20-300 kg'}).`);
+      return;
+    }
+    const suggestion = suggestWaterGoal(weightKg, modal.querySelector('#waterGoalActivity').value);
+    input.value = unit === 'ml' ? (suggestion / 1000).toFixed(1) : toWaterUnit(suggestion, unit);
+    modal.querySelector('#waterGoalSuggestion').textContent = `Suggested: ${formatWaterTotal(suggestion, unit)} a day. Save to use it.`;
+  });
   
   const saveGoal = () => {
-    const newGoalLiters = parseFloat(input.value);
-    if (isNaN(newGoalLiters) || newGoalLiters < 0.5 || newGoalLiters > 10) {
-      showErrorModal('Please enter a valid goal between 0.5L and 10L.');
+    const newGoalMl = readGoalMl();
+    if (isNaN(newGoalMl) || newGoalMl < MIN_WATER_GOAL_ML || newGoalMl > MAX_WATER_GOAL_ML) {
+      showErrorModal(`Please enter a valid goal between ${formatWaterTotal(MIN_WATER_GOAL_ML, unit)} and ${formatWaterTotal(MAX_WATER_GOAL_ML, unit)}.`);
       return;
     }
     
-    const newGoalMl = Math.round(newGoalLiters * 1000);
     if (setWaterGoal(newGoalMl)) {
-      updateWaterIntakeDisplay();
+      updateWaterCard();
       closeModal();
     } else {
       showErrorModal('Unable to save water goal. Please try again.');
     }
   };
   
-  saveBtn.addEventListener('click', saveGoal);
-  cancelBtn.addEventListener('click', closeModal);
+  modal.querySelector('.btn-confirm').addEventListener('click', saveGoal);
   input.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
       saveGoal();
-    } else if (e.key === 'Escape') {
-      e.preventDefault();
-      closeModal();
     }
   });
   
-  modalOverlay.addEventListener('click', (e) => {
-    if (e.target === modalOverlay) {
-      closeModal();
-    }
-  });
+  setTimeout(() => {
+    input.focus();
+    input.select();
+  }, 100);
 }
 
 // Timer interval reference for cleanup
 let timerInterval = null;
-let lastHealthUpdate = 0;
-let cachedHealthBenefits = null;
-let cachedHealth = null;
 
-// Start the timer
+// Days shown on the app icon, so the badge is only set when the count changes
+let appBadgeDays = null;
+
+// Show the days smoke-free on the installed app's icon (Badging API); 0 clears it
+function updateAppBadge(days) {
+  if (!('setAppBadge' in navigator) || days === appBadgeDays) return;
+  appBadgeDays = days;
+  const request = days > 0 ? navigator.setAppBadge(days) : navigator.clearAppBadge();
+  request.catch((error) => {
+    if (import.meta.env.DEV) {
+      console.error('Error updating app badge:', error);
+    }
+  });
+}
+
+// Start the timer that drives the tracker's components
 function startTimer() {
   const quitDate = getQuitDate();
   if (!quitDate) {
@@ -1303,151 +4759,36 @@ function startTimer() {
     timerInterval = null;
   }
   
-  // Cache DOM elements for better performance
-  const daysEl = document.getElementById('days');
-  const hoursEl = document.getElementById('hours');
-  const minutesEl = document.getElementById('minutes');
-  const secondsEl = document.getElementById('seconds');
-  const cigarettesEl = document.getElementById('cigarettesAvoided');
-  const moneyEl = document.getElementById('moneySaved');
-  const daysQuitEl = document.getElementById('daysQuit');
-  const healthPercentageEl = document.getElementById('healthPercentage');
-  const healthProgressFillEl = document.getElementById('healthProgressFill');
-  const nextRegenerationTimeEl = document.getElementById('nextRegenerationTime');
-  
-  // Track previous countdown state to detect transition
-  const initialTimeElapsed = calculateTimeElapsed(quitDate);
-  let wasCountdown = initialTimeElapsed.isCountdown;
-  
   function update() {
+    if (!trackerView) return;
     try {
+      // Read the quit date each time, so a restarted streak shows without a re-render
+      const quitDate = getQuitDate();
+      if (!quitDate) return;
       const now = new Date();
-      const timeElapsed = calculateTimeElapsed(quitDate);
+      const timeElapsed = calculateTimeElapsed(quitDate, now);
       
       // Check if quit date has arrived (switched from countdown to tracking)
-      if (wasCountdown === true && timeElapsed.isCountdown === false) {
+      if (trackerView.isCountdown && !timeElapsed.isCountdown) {
         // Quit date has arrived, re-render to switch to tracking mode
-        wasCountdown = false;
         renderTracker();
         return;
       }
       
-      // Update countdown state
-      wasCountdown = timeElapsed.isCountdown;
-      
-      const stats = calculateStats(quitDate);
-      
-      // Update timer (always needed)
-      if (daysEl) daysEl.textContent = timeElapsed.days;
-      if (hoursEl) hoursEl.textContent = String(timeElapsed.hours).padStart(2, '0');
-      if (minutesEl) minutesEl.textContent = String(timeElapsed.minutes).padStart(2, '0');
-      if (secondsEl) secondsEl.textContent = String(timeElapsed.seconds).padStart(2, '0');
-      
-      // Update time label if in countdown mode
-      const timeLabels = document.querySelectorAll('.time-label');
-      if (timeLabels.length > 0 && timeElapsed.isCountdown) {
-        if (timeLabels[0].textContent !== 'Days Until') {
-          timeLabels[0].textContent = 'Days Until';
-        }
-      } else if (timeLabels.length > 0 && !timeElapsed.isCountdown) {
-        if (timeLabels[0].textContent !== 'Days') {
-          timeLabels[0].textContent = 'Days';
-        }
-      }
-      
-      // Update "Since" label
-      const sinceLabel = document.querySelector('.since-label');
-      if (sinceLabel) {
-        if (timeElapsed.isCountdown && sinceLabel.textContent !== 'Quit Date') {
-          sinceLabel.textContent = 'Quit Date';
-        } else if (!timeElapsed.isCountdown && sinceLabel.textContent !== 'Since') {
-          sinceLabel.textContent = 'Since';
-        }
-      }
+      const { timer, healthBar, stats: statsGrid, benefits } = trackerView.components;
+      timer.update(timeElapsed);
       
-      // Update stats (only if changed)
-      if (cigarettesEl) {
-        const newCigarettes = stats.cigarettesAvoided.toLocaleString();
-        if (cigarettesEl.textContent !== newCigarettes) {
-          cigarettesEl.textContent = newCigarettes;
-        }
-      }
-      if (moneyEl) {
-        const newMoney = `$${stats.moneySaved}`;
-        if (moneyEl.textContent !== newMoney) {
-          moneyEl.textContent = newMoney;
-        }
-      }
-      if (daysQuitEl) {
-        const newDays = stats.daysQuit.toString();
-        if (daysQuitEl.textContent !== newDays) {
-          daysQuitEl.textContent = newDays;
-        }
+      const stats = statsGrid.update(quitDate);
+      if (stats.moneySaved !== trackerView.moneySaved) {
+        trackerView.moneySaved = stats.moneySaved;
+        updateSavingsGoals();
       }
+      updateAppBadge(stats.daysQuit);
       
-      // Update health regeneration (only every 5 seconds for performance, and only if not in countdown mode)
+      // Health changes slowly; the components only recalculate every few seconds
+      healthBar.update(quitDate, now);
       if (!timeElapsed.isCountdown) {
-        const timeSinceLastHealthUpdate = now.getTime() - lastHealthUpdate;
-        if (timeSinceLastHealthUpdate >= 5000 || lastHealthUpdate === 0) {
-        lastHealthUpdate = now.getTime();
-        
-        const health = calculateHealthRegeneration(quitDate);
-        cachedHealth = health;
-        
-        if (healthPercentageEl) {
-          healthPercentageEl.textContent = `${health.percentage}%`;
-        }
-        if (healthProgressFillEl) {
-          healthProgressFillEl.style.width = `${health.percentage}%`;
-        }
-        
-        // Update next regeneration time
-        if (nextRegenerationTimeEl && health.nextMilestone && health.timeToNext) {
-          const milestoneDate = new Date(now.getTime() + health.timeToNext);
-          
-          try {
-            const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-            const day = milestoneDate.getDate();
-            const month = monthNames[milestoneDate.getMonth()];
-            const year = milestoneDate.getFullYear();
-            let hours = milestoneDate.getHours();
-            const minutes = String(milestoneDate.getMinutes()).padStart(2, '0');
-            const ampm = hours >= 12 ? 'PM' : 'AM';
-            hours = hours % 12;
-            hours = hours ? hours : 12;
-            const hoursStr = String(hours).padStart(2, '0');
-            const dateStr = `${month}, ${day}, ${year} ${hoursStr}:${minutes} ${ampm}`;
-            
-            nextRegenerationTimeEl.textContent = `At ${dateStr}`;
-          } catch (error) {
-            nextRegenerationTimeEl.textContent = `At ${milestoneDate.toLocaleString()}`;
-          }
-        }
-        
-          // Update health benefits (only every 5 seconds - they don't change every second)
-          const healthBenefits = calculateHealthBenefits(quitDate);
-          cachedHealthBenefits = healthBenefits;
-          
-          // Use requestAnimationFrame for smoother updates
-          requestAnimationFrame(() => {
-            healthBenefits.forEach((benefit, index) => {
-              const percentageEl = document.getElementById(`benefitPercentage${index}`);
-              const progressFillEl = document.getElementById(`benefitProgressFill${index}`);
-              if (percentageEl) {
-                const newProgress = `${benefit.progress}%`;
-                if (percentageEl.textContent !== newProgress) {
-                  percentageEl.textContent = newProgress;
-                }
-              }
-              if (progressFillEl) {
-                const newWidth = `${benefit.progress}%`;
-              if (progressFillEl.style.width !== newWidth) {
-                progressFillEl.style.width = newWidth;
-              }
-            }
-          });
-        });
-        }
+        benefits.update(quitDate, now);
       }
     } catch (error) {
       if (import.meta.env.DEV) {
@@ -1503,66 +4844,40 @@ window.startTracking = async function() {
   try {
     const nicknameEl = document.getElementById('nickname');
     const dateInputEl = document.getElementById('quitDate');
-    const cigarettesPerDayEl = document.getElementById('cigarettesPerDay');
-    const costPerPackEl = document.getElementById('costPerPack');
+    const productRowsEl = document.getElementById('productRows');
+    const currencyEl = document.getElementById('currency');
     
-    if (!dateInputEl || !cigarettesPerDayEl || !costPerPackEl) {
+    if (!dateInputEl || !productRowsEl) {
       showErrorModal('Form elements not found. Please refresh the page.');
       return;
     }
     
-    // Save nickname
-    if (nicknameEl) {
-      setNickname(nicknameEl.value);
-    }
-    
     const dateInput = dateInputEl.value;
     if (!dateInput) {
       showErrorModal('Please select a quit date');
       return;
     }
     
+    // Validate everything before saving anything
     const quitDate = new Date(dateInput);
-    if (isNaN(quitDate.getTime())) {
-      showErrorModal('Invalid date selected. Please choose a valid date.');
-      return;
-    }
-    
-    // Allow future dates for countdown mode (preparing to quit)
-    
-    // Check if date is too old (more than 50 years ago)
-    const minDate = new Date();
-    minDate.setFullYear(minDate.getFullYear() - 50);
-    if (quitDate < minDate) {
-      showErrorModal('Quit date cannot be more than 50 years ago. Please select a more recent date.');
+    const products = readProductRows(productRowsEl);
+    const error = validateQuitDate(quitDate) || validateProducts(products);
+    if (error) {
+      showErrorModal(error);
       return;
     }
     
-    setQuitDate(quitDate);
-    
-    // Store preferences with error handling
-    const cigarettesPerDay = parseInt(cigarettesPerDayEl.value) || DEFAULT_CIGARETTES_PER_DAY;
-    const costPerPack = parseFloat(costPerPackEl.value) || DEFAULT_COST_PER_PACK;
-    
-    if (cigarettesPerDay < 1 || cigarettesPerDay > 200) {
-      showErrorModal('Please enter a valid number of cigarettes per day (1-200).');
+    if (currencyEl && !setCurrency(currencyEl.value)) {
+      showErrorModal('Please choose a valid currency.');
       return;
     }
     
-    if (costPerPack < 0 || costPerPack > 1000) {
-      showErrorModal('Please enter a valid cost per pack (0-1000).');
-      return;
+    if (nicknameEl) {
+      setNickname(nicknameEl.value);
     }
     
-    try {
-      localStorage.setItem('cigarettesPerDay', cigarettesPerDay);
-      localStorage.setItem('costPerPack', costPerPack);
-    } catch (error) {
-      if (error.name === 'QuotaExceededError') {
-        showErrorModal('Storage is full. Please clear some data or use a different browser.');
-      } else {
-        showErrorModal('Unable to save preferences. Please check if localStorage is enabled.');
-      }
+    // Storage errors are reported by the storage module
+    if (!setProducts(products, { newAttempt: true }) || !setQuitDate(quitDate)) {
       return;
     }
     
@@ -1578,7 +4893,7 @@ window.startTracking = async function() {
     // Load notified items
     loadNotifiedItems();
     
-    renderTracker();
+    navigate('/');
     
     // Start notification checking
     startNotificationChecking(quitDate);
@@ -1687,7 +5002,7 @@ function showResetConfirmation() {
   modal.innerHTML = `
     <div class="reset-modal">
       <h3 id="reset-modal-title">Reset Tracker?</h3>
-      <p>This will delete your quit date and reset all progress. Your nickname will be kept.</p>
+      <p>This will end your current attempt and reset all progress. The attempt is saved to your quit history, and your nickname will be kept.</p>
       <div class="reset-modal-buttons">
         <button class="btn-cancel" type="button">Cancel</button>
         <button class="btn-confirm" type="button">Reset</button>
@@ -1825,29 +5140,21 @@ window.confirmReset = function() {
           tipInterval = null;
         }
         
-        localStorage.removeItem('quitDate');
-        localStorage.removeItem('cigarettesPerDay');
-        localStorage.removeItem('costPerPack');
+        // Keep the attempt in the quit history before wiping it
+        archiveCurrentAttempt();
+        
+        storage.setItems({ quitDate: null, products: null, priceHistory: null, slips: null });
         // Note: nickname is kept on reset
         
         // Clear notification tracking
-        notifiedMilestones.clear();
-        notifiedBenefits.clear();
-        lastDailyNotification = null;
-        try {
-          localStorage.removeItem('notifiedMilestones');
-          localStorage.removeItem('notifiedBenefits');
-          localStorage.removeItem('lastDailyNotification');
-        } catch (e) {
-          // Ignore errors
-        }
+        clearNotifiedItems();
         
         // Stop notification checking
         stopNotificationChecking();
         
         // Small delay before re-rendering to prevent jump
         requestAnimationFrame(() => {
-          renderTracker();
+          navigate('/');
         });
       } catch (error) {
         if (import.meta.env.DEV) {
@@ -1887,6 +5194,85 @@ window.toggleBenefitDetails = function(index) {
   }
 };
 
+// Query parameters of the links notifications and home screen shortcuts open (see openAppLink)
+const APP_LINK_PARAMS = ['milestone', 'benefit', 'section', 'action'];
+
+// Find the benefit card a milestone links to: the benefit with the milestone's name, or
+// else the first one reached on the same day (-1 if there is none)
+function findMilestoneBenefitIndex(benefits, days) {
+  const milestone = findMilestone(days);
+  if (!milestone) return -1;
+  const name = milestone.name.toLowerCase();
+  const byName = benefits.findIndex((benefit) => benefit.name.toLowerCase() === name);
+  return byName !== -1 ? byName : benefits.findIndex((benefit) => benefit.targetDays === milestone.days);
+}
+
+// Open a benefit card and scroll it into view
+function showBenefitCard(index) {
+  const cardEl = document.querySelector(`.benefit-card[data-benefit-index="${index}"]`);
+  if (!cardEl) return;
+  if (!cardEl.classList.contains('benefit-card-open')) {
+    toggleBenefitDetails(index);
+  }
+  cardEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  cardEl.focus({ preventScroll: true });
+}
+
+// Scroll to the water section and move focus to it
+function showWaterSection() {
+  const sectionEl = document.querySelector('.water-intake-section');
+  if (!sectionEl) return;
+  sectionEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  sectionEl.focus({ preventScroll: true });
+}
+
+// Show what a notification or shortcut link points to: /?milestone=<days> and
+// /?benefit=<name> open that benefit card, /?section=water the water section and
+// /?action=craving the craving logger. Other links just show the app.
+function openAppLink(url) {
+  let target;
+  try {
+    target = new URL(url, window.location.origin);
+  } catch (error) {
+    return;
+  }
+  if (target.origin !== window.location.origin) return;
+  const params = target.searchParams;
+  if (!APP_LINK_PARAMS.some((param) => params.has(param))) return;
+  
+  const quitDate = getQuitDate();
+  if (!quitDate) return;
+  // The targets are on the tracker, so leave other views for it
+  if (getRoutePath() !== '/') {
+    navigate('/');
+  }
+  
+  if (params.has('milestone') || params.has('benefit')) {
+    const benefits = calculateHealthBenefits(quitDate);
+    const index = params.has('milestone')
+      ? findMilestoneBenefitIndex(benefits, parseFloat(params.get('milestone')))
+      : benefits.findIndex((benefit) => benefit.name === params.get('benefit'));
+    if (index !== -1) {
+      showBenefitCard(index);
+    }
+  } else if (params.get('section') === 'water') {
+    showWaterSection();
+  } else if (params.get('action') === 'craving') {
+    showCravingModal();
+  }
+}
+
+// Follow the notification or shortcut link the app was opened with, then take it out of
+// the address bar so a reload doesn't open it again
+function openLaunchLink() {
+  if (!APP_LINK_PARAMS.some((param) => new URL(window.location.href).searchParams.has(param))) return;
+  openAppLink(window.location.href);
+  // Read the URL again: following the link may have switched views
+  const url = new URL(window.location.href);
+  APP_LINK_PARAMS.forEach((param) => url.searchParams.delete(param));
+  history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+}
+
 // Pause timer when page is hidden to save battery
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
@@ -1896,13 +5282,150 @@ document.addEventListener('visibilitychange', () => {
       timerInterval = null;
     }
   } else {
-    // Resume timer when page becomes visible
-    if (getQuitDate()) {
+    // Resume timer when page becomes visible (only the tracker view has one)
+    if (getQuitDate() && trackerView) {
       startTimer();
     }
   }
 });
 
+// Views by hash route. needsQuitDate routes fall back to the tracker (and its setup form)
+// until tracking has started.
+const ROUTES = [
+  { pattern: /^\/$/, tab: 'home', view: renderTracker },
+  { pattern: /^\/stats$/, tab: 'stats', view: renderStats, needsQuitDate: true },
+  { pattern: /^\/history$/, tab: 'history', view: renderHistory },
+  { pattern: /^\/settings$/, tab: 'settings', view: renderSettings, needsQuitDate: true },
+  { pattern: /^\/benefits\/([a-z0-9-]+)$/, tab: 'home', view: renderBenefit, needsQuitDate: true }
+];
+
+// Tabs of the bottom navigation bar
+const NAV_TABS = [
+  { id: 'home', path: '/', label: 'Home', icon: '<path d="M3 10.5 12 3l9 7.5V21h-6v-6H9v6H3z"/>' },
+  { id: 'stats', path: '/stats', label: 'Stats', icon: '<path d="M4 20V10h4v10zm6 0V4h4v16zm6 0v-7h4v7z"/>' },
+  { id: 'history', path: '/history', label: 'History', icon: '<path d="M12 3a9 9 0 1 1-9 9h2a7 7 0 1 0 2.05-4.95L9 9H3V3l2.64 2.64A8.96 8.96 0 0 1 12 3zm-1 4h2v5.2l3.6 2.16-1 1.72L11 13.3z"/>' },
+  { id: 'settings', path: '/settings', label: 'Settings', icon: '<path d="M19.4 13a7.5 7.5 0 0 0 0-2l2.1-1.6-2-3.5-2.5 1a7.6 7.6 0 0 0-1.7-1L15 3h-4l-.4 2.9a7.6 7.6 0 0 0-1.7 1l-2.5-1-2 3.5L6.6 11a7.5 7.5 0 0 0 0 2l-2.1 1.6 2 3.5 2.5-1a7.6 7.6 0 0 0 1.7 1L11 21h4l.4-2.9a7.6 7.6 0 0 0 1.7-1l2.5 1 2-3.5zM13 15.5a3.5 3.5 0 1 1 0-7 3.5 3.5 0 0 1 0 7z"/>' }
+];
+
+// Path of the route currently rendered, so hash changes we caused ourselves are ignored
+let renderedRoutePath = null;
+
+// Current route path from the hash ("#/stats" -> "/stats"; no hash is the tracker)
+function getRoutePath() {
+  return window.location.hash.replace(/^#/, '') || '/';
+}
+
+// Show a view and add it to the browser history, so Back returns here
+function navigate(path) {
+  if (getRoutePath() !== path) {
+    history.pushState({ inApp: true }, '', `#${path}`);
+  }
+  renderRoute(true);
+}
+
+// Leave the current view: go back if it was opened from within the app, otherwise (e.g.
+// opened from a bookmark) replace it with the tracker
+function navigateBack() {
+  if (history.state && history.state.inApp) {
+    history.back();
+    return;
+  }
+  history.replaceState(history.state, '', '#/');
+  renderRoute(true);
+}
+
+// Stop what the previous view left running: the tracker's timers and open dialogs
+function teardownView() {
+  stopTrackerTimers();
+  openFormModals.forEach((closeModal) => closeModal());
+}
+
+// Render the view for the current hash
+function renderRoute(force = false) {
+  const path = getRoutePath();
+  if (!force && path === renderedRoutePath) return;
+  
+  let params = [];
+  const route = ROUTES.find((r) => {
+    const match = r.pattern.exec(path);
+    if (match) params = match.slice(1);
+    return match;
+  });
+  
+  teardownView();
+  
+  if (!route || (route.needsQuitDate && !getQuitDate())) {
+    // Unknown or not yet available: show the tracker under its own URL
+    if (path !== '/') {
+      history.replaceState(history.state, '', '#/');
+    }
+    renderedRoutePath = '/';
+    renderTracker();
+    updateBottomNav('home');
+    return;
+  }
+  
+  renderedRoutePath = path;
+  route.view(...params);
+  updateBottomNav(route.tab);
+}
+
+// Show the bottom navigation bar (once tracking has started) with the active tab marked
+function updateBottomNav(activeTab) {
+  let nav = document.querySelector('.bottom-nav');
+  if (!nav) {
+    nav = document.createElement('nav');
+    nav.className = 'bottom-nav';
+    nav.setAttribute('aria-label', 'Main');
+    nav.innerHTML = NAV_TABS.map((tab) => `
+      <a class="bottom-nav-link" href="#${tab.path}" data-tab="${tab.id}">
+        <svg viewBox="0 0 24 24" width="22" height="22" fill="currentColor" aria-hidden="true">${tab.icon}</svg>
+        <span>${tab.label}</span>
+      </a>
+    `).join('');
+    document.body.appendChild(nav);
+  }
+  
+  const visible = Boolean(getQuitDate());
+  nav.hidden = !visible;
+  document.body.classList.toggle('has-bottom-nav', visible);
+  nav.querySelectorAll('.bottom-nav-link').forEach((link) => {
+    const active = link.dataset.tab === activeTab;
+    link.classList.toggle('active', active);
+    if (active) {
+      link.setAttribute('aria-current', 'page');
+    } else {
+      link.removeAttribute('aria-current');
+    }
+  });
+}
+
+// In-app links go through navigate() so they get a history entry Back can return from
+document.addEventListener('click', (e) => {
+  const link = e.target.closest('a[href^="#/"]');
+  if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+  e.preventDefault();
+  navigate(link.getAttribute('href').slice(1));
+});
+
+// Back/Forward and hand-edited URLs
+window.addEventListener('popstate', () => renderRoute());
+window.addEventListener('hashchange', () => renderRoute());
+
 // Initialize
+storage.setStorageErrorHandler(showErrorModal);
+// Upgrade data saved by older versions before anything reads it
+storage.migrateStorage();
+eventStoreReady = moveLegacyEvents().catch((error) => {
+  if (import.meta.env.DEV) {
+    console.error('Error preparing event store:', error);
+  }
+  // Reads fall back to empty history on their own
+});
 loadNotifiedItems();
-renderTracker();
+if (window.location.pathname === WIDGET_PATH) {
+  renderWidget();
+} else {
+  renderRoute();
+  openLaunchLink();
+}
@@ -0,0 +1,60 @@
+// Health milestones announced by notifications. Plain data and text helpers with no DOM
+// access, so the app and the Node push sender (scripts/push-sender.js) share them.
+
+// Milestones in days since quitting
+export const HEALTH_MILESTONES = [
+  { days: 0.014, name: 'Heart rate normalizes' },
+  { days: 0.5, name: 'Blood pressure drops' },
+  { days: 1, name: 'Oxygen in blood rises' },
+  { days: 7, name: 'Breathing easier' },
+  { days: 14, name: 'Circulation improves' },
+  { days: 30, name: 'Lung function improves' },
+  { days: 60, name: 'Better lung function' },
+  { days: 90, name: 'Sperm quality improves' },
+  { days: 180, name: 'Depression risk decreases' },
+  { days: 365, name: 'Heart disease risk drops' },
+  { days: 730, name: 'Stroke risk drops' },
+  { days: 1825, name: 'Chronic bronchitis risk drops' },
+  { days: 3650, name: 'Lung cancer risk drops' },
+  { days: 5475, name: 'Heart disease risk ≈ non-smoker' }
+];
+
+// Find a milestone by its number of days
+export function findMilestone(days) {
+  return HEALTH_MILESTONES.find((milestone) => milestone.days === days) || null;
+}
+
+// Describe the time since quitting at which a milestone is reached (e.g. "2 weeks")
+export function formatMilestoneTime(days) {
+  return days < 1
+    ? `${Math.round(days * 24 * 60)} minutes`
+    : days === 1
+    ? '1 day'
+    : days < 7
+    ? `${Math.round(days)} days`
+    : days < 30
+    ? `${Math.round(days / 7)} weeks`
+    : days < 365
+    ? `${Math.round(days / 30)} months`
+    : `${Math.round(days / 365)} years`;
+}
+
+// Get the notification text for a milestone
+export function getMilestoneMessage(milestone) {
+  return `${milestone.name} - You've been smoke-free for ${formatMilestoneTime(milestone.days)}!`;
+}
+
+// Get the app link a milestone notification opens
+export function getMilestoneUrl(milestone) {
+  return `/?milestone=${milestone.days}`;
+}
+
+// Build the structured notification payload for a milestone
+export function getMilestonePayload(milestone) {
+  return {
+    title: 'Milestone Achieved!',
+    body: getMilestoneMessage(milestone),
+    tag: `milestone-${milestone.days}`,
+    url: getMilestoneUrl(milestone)
+  };
+}
@@ -0,0 +1,282 @@
+// Central access to localStorage: key registry, typed values, schema migrations and a
+// single error path. Nothing else should talk to localStorage directly.
+
+// Bump when the stored data changes shape, and add a migration below
+export const SCHEMA_VERSION = 2;
+
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Every persisted key and the type of its value
+const STORAGE_KEYS = {
+  quitDate: 'date',
+  nickname: 'string',
+  currency: 'string',
+  products: 'array',
+  priceHistory: 'object',
+  inflationRate: 'number',
+  savingsGoals: 'array',
+  slips: 'array',
+  cravings: 'array',
+  sosSessions: 'array',
+  waterGoal: 'number',
+  waterUnit: 'string',
+  waterIntake: 'object',
+  notifiedMilestones: 'array',
+  notifiedBenefits: 'array',
+  lastDailyNotification: 'date',
+  lastWaterReminder: 'date',
+  notificationPrefs: 'object'
+};
+
+// Keys that only exist in older schemas; migrations read them and then remove them
+const LEGACY_KEYS = {
+  cigarettesPerDay: 'number',
+  costPerPack: 'number',
+  // Moved to the IndexedDB event store by the app on startup
+  quitAttempts: 'array',
+  // The daily water total from before the water history, set aside by migration 2 and
+  // added to the event store by the app on startup
+  waterIntakeBeforeLog: 'object'
+};
+
+// Values that schema 0 used when cigarette settings were missing
+const LEGACY_CIGARETTES_PER_DAY = 20;
+const LEGACY_COST_PER_PACK = 10;
+const LEGACY_PACK_SIZE = 20;
+
+// Convert the pre-product cigarette settings into a product
+function legacyCigaretteProduct(cigarettesPerDay, costPerPack) {
+  return {
+    type: 'cigarettes',
+    perDay: parseInt(cigarettesPerDay) || LEGACY_CIGARETTES_PER_DAY,
+    packSize: LEGACY_PACK_SIZE,
+    costPerPack: parseFloat(costPerPack) || LEGACY_COST_PER_PACK
+  };
+}
+
+// Forward migrations, keyed by the version they upgrade to. Each one receives a plain
+// snapshot of the data (dates as ISO strings) and returns the upgraded snapshot. They
+// must tolerate data that is already partly upgraded.
+const MIGRATIONS = {
+  // Cigarette settings became product profiles, and slips record the product used.
+  // Slips and attempts from before then were all cigarettes.
+  1: (data) => {
+    const { cigarettesPerDay, costPerPack, ...rest } = data;
+    if (!rest.products && (cigarettesPerDay !== undefined || costPerPack !== undefined)) {
+      rest.products = [legacyCigaretteProduct(cigarettesPerDay, costPerPack)];
+    }
+    if (Array.isArray(rest.slips)) {
+      rest.slips = rest.slips.map((slip) => (!slip || slip.product ? slip : { ...slip, product: 'cigarettes' }));
+    }
+    if (Array.isArray(rest.quitAttempts)) {
+      rest.quitAttempts = rest.quitAttempts.map((attempt) => {
+        if (!attempt || attempt.products) return attempt;
+        const { cigarettesPerDay: perDay, costPerPack: cost, cigarettesSmoked, ...attemptRest } = attempt;
+        return {
+          ...attemptRest,
+          products: [legacyCigaretteProduct(perDay, cost)],
+          slippedUnits: { cigarettes: parseInt(cigarettesSmoked) || 0 }
+        };
+      });
+    }
+    return rest;
+  },
+  // Water is logged entry by entry in the event store. The daily total from before then
+  // is set aside once, so the app adds it to the history exactly once.
+  2: (data) => {
+    if (!data.waterIntake || data.waterIntakeBeforeLog) return data;
+    return { ...data, waterIntakeBeforeLog: data.waterIntake };
+  }
+};
+
+let errorHandler = null;
+
+// Register the function that tells the user about storage errors (e.g. a full disk)
+export function setStorageErrorHandler(handler) {
+  errorHandler = handler;
+}
+
+// The one place storage errors are handled. Failed reads fall back quietly; failed
+// writes are reported to the user.
+function handleStorageError(error, action, key) {
+  if (import.meta.env.DEV) {
+    console.error(`Error ${action} ${key} in localStorage:`, error);
+  }
+  if (action === 'reading' || !errorHandler) return;
+
+  if (error && error.name === 'QuotaExceededError') {
+    errorHandler('Storage is full. Please clear some data or use a different browser.');
+  } else {
+    errorHandler('Unable to save your data. Please check if localStorage is enabled.');
+  }
+}
+
+// Turn a stored string into a value of the given type (undefined if it doesn't fit)
+function deserialize(type, stored) {
+  if (type === 'string') return stored;
+  if (type === 'number') {
+    const number = parseFloat(stored);
+    return isNaN(number) ? undefined : number;
+  }
+  if (type === 'date') {
+    const date = new Date(stored);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+  const parsed = JSON.parse(stored);
+  if (type === 'array') return Array.isArray(parsed) ? parsed : undefined;
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+}
+
+// Turn a value of the given type into the string that is stored
+function serialize(type, value) {
+  if (type === 'date') return value.toISOString();
+  if (type === 'array' || type === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function getKeyType(key) {
+  const type = STORAGE_KEYS[key] || LEGACY_KEYS[key];
+  if (!type) {
+    throw new Error(`Unknown storage key: ${key}`);
+  }
+  return type;
+}
+
+// Read a typed value, or the fallback if it is missing, unreadable or the wrong type
+export function getItem(key, fallback = null) {
+  const type = getKeyType(key);
+  try {
+    const stored = localStorage.getItem(key);
+    if (stored === null) return fallback;
+    const value = deserialize(type, stored);
+    return value === undefined ? fallback : value;
+  } catch (error) {
+    handleStorageError(error, 'reading', key);
+    return fallback;
+  }
+}
+
+// Write a typed value (null or undefined removes the key); returns whether it was saved
+export function setItem(key, value) {
+  const type = getKeyType(key);
+  if (value === null || value === undefined) {
+    return removeItem(key);
+  }
+  try {
+    localStorage.setItem(key, serialize(type, value));
+    return true;
+  } catch (error) {
+    handleStorageError(error, 'saving', key);
+    return false;
+  }
+}
+
+// Remove a key; returns whether it was removed
+export function removeItem(key) {
+  getKeyType(key);
+  try {
+    localStorage.removeItem(key);
+    return true;
+  } catch (error) {
+    handleStorageError(error, 'removing', key);
+    return false;
+  }
+}
+
+// Write several values at once. If any write fails, the earlier ones are rolled back.
+export function setItems(values) {
+  const previous = {};
+  Object.keys(values).forEach((key) => {
+    getKeyType(key);
+    try {
+      previous[key] = localStorage.getItem(key);
+    } catch (error) {
+      previous[key] = null;
+    }
+  });
+
+  try {
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, serialize(getKeyType(key), value));
+      }
+    });
+    return true;
+  } catch (error) {
+    Object.entries(previous).forEach(([key, stored]) => {
+      try {
+        if (stored === null) {
+          localStorage.removeItem(key);
+        } else {
+          localStorage.setItem(key, stored);
+        }
+      } catch (e) {
+        // Ignore errors
+      }
+    });
+    handleStorageError(error, 'saving', Object.keys(values).join(', '));
+    return false;
+  }
+}
+
+// Read all stored data as a plain, JSON-safe snapshot (dates as ISO strings)
+export function readSnapshot({ includeLegacy = false } = {}) {
+  const keys = includeLegacy ? { ...STORAGE_KEYS, ...LEGACY_KEYS } : STORAGE_KEYS;
+  const snapshot = {};
+  Object.entries(keys).forEach(([key, type]) => {
+    const value = getItem(key);
+    if (value !== null) {
+      snapshot[key] = type === 'date' ? value.toISOString() : value;
+    }
+  });
+  return snapshot;
+}
+
+// Replace all stored data with a snapshot; keys missing from it are removed
+export function writeSnapshot(snapshot) {
+  const values = {};
+  Object.entries({ ...STORAGE_KEYS, ...LEGACY_KEYS }).forEach(([key, type]) => {
+    const value = snapshot[key];
+    values[key] = value !== undefined && type === 'date' ? new Date(value) : value;
+  });
+  return setItems(values);
+}
+
+// Upgrade a snapshot from the given schema version to the current one
+export function migrateSnapshot(snapshot, fromVersion) {
+  let data = { ...snapshot };
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    data = MIGRATIONS[version](data);
+  }
+  return data;
+}
+
+// Get the schema version of the stored data (0 for data saved before versioning)
+export function getSchemaVersion() {
+  try {
+    const version = parseInt(localStorage.getItem(SCHEMA_VERSION_KEY));
+    return isNaN(version) ? 0 : version;
+  } catch (error) {
+    handleStorageError(error, 'reading', SCHEMA_VERSION_KEY);
+    return 0;
+  }
+}
+
+// Upgrade stored data to the current schema. Runs once on startup; data that is already
+// current is left untouched.
+export function migrateStorage() {
+  const version = getSchemaVersion();
+  if (version >= SCHEMA_VERSION) return true;
+
+  try {
+    const migrated = migrateSnapshot(readSnapshot({ includeLegacy: true }), version);
+    if (!writeSnapshot(migrated)) return false;
+    localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+    return true;
+  } catch (error) {
+    handleStorageError(error, 'migrating', SCHEMA_VERSION_KEY);
+    return false;
+  }
+}
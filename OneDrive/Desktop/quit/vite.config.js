@@ -1,6 +1,9 @@
 import { defineConfig } from 'vite';
+import precacheManifest from './scripts/precache-manifest.js';
 
 export default defineConfig({
+  // Precache every built file in the service worker (public/sw.js)
+  plugins: [precacheManifest()],
   server: {
     hmr: {
       // Suppress WebSocket connection errors